@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+// sfdp — one entry point for collection, history, diffs, exports, reports, validation, alerts, metrics and the API
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { createRpcClient, endpointsFromEnv, RpcError } = require("../lib/rpc");
+const { createLogger } = require("../lib/log");
+const { AUTHORITIES, collectSfdp } = require("../lib/collect-sfdp");
+const { collectNetwork, readPreviousNetwork } = require("../lib/collect-network");
+const { collectAll } = require("../lib/collect-all");
+const { writeHistory } = require("../lib/history");
+const { DEFAULT_RETENTION, listSnapshots, readSnapshot, writeJson, migrateDataDir } = require("../lib/snapshots");
+const { diffSnapshots } = require("../lib/changelog");
+const { buildReport, formatReport } = require("../lib/report");
+const { ValidationError, validateDataDir } = require("../lib/validate");
+const { runAlerts } = require("../lib/alerts");
+const { PROVIDERS, sourcesFromEnv } = require("../lib/metadata");
+const { REPLAY_ENDPOINT, createRecorder, createReplay, saveBundle, loadBundle } = require("../lib/fixtures");
+const { DEFAULT_FORMATS, FORMATS, sfdpTables, networkTables, writeExports } = require("../lib/export");
+const { startExporter } = require("../lib/prometheus");
+const { startApiServer } = require("../lib/api");
+
+const EXIT = { OK: 0, FAILURE: 1, USAGE: 2, INVALID: 3, RPC: 4 };
+
+const USAGE = `Usage: sfdp <command> [options]
+
+Commands:
+  collect sfdp        Collect SFDP stake data (latest.json, epoch snapshots, exports, changelog, history, alerts)
+  collect network     Collect network-wide validator data (network-latest.json, exports)
+  collect all         Both of the above from one fetch of the shared RPC and metadata inputs
+  history             Rebuild history.json and validator-history.json from stored snapshots
+  diff [from] [to]    Write changelog.json for two snapshot epochs (default: the two most recent)
+  export              Rewrite the CSV/TSV/NDJSON exports from latest.json and network-latest.json
+  report              Summarize the latest collected data
+  validate [dir]      Check the data files of <dir> (default: --out-dir) against the schemas
+                      in schemas/ and the data invariants
+  migrate             Archive legacy snapshot-<epoch>.json files and upgrade every data file
+                      to the current schema version
+  alerts              Evaluate alerts for latest.json and send new ones
+  exporter            Serve Prometheus/OpenMetrics /metrics from the data files, or from
+                      in-process collection with --collect-every
+  serve               Serve the dashboards and the /api query endpoints over the data directory
+
+Options:
+  --rpc <urls>               Comma-separated RPC endpoints, in priority order
+                             (default: RPC_ENDPOINTS, HELIUS_RPC, then public mainnet)
+  --out-dir <dir>            Data directory (default: ./data)
+  --authorities <spec>       key=pubkey[:label],... or a JSON file of { key: { authority, label } }
+                             (default: firep, mpa4)
+  --metadata-source <list>   Metadata providers in priority order, e.g. stakewiz,onchain
+                             (default: METADATA_SOURCES or stakewiz,onchain)
+  --export-format <list>     Tabular exports written to <out-dir>/exports: csv, tsv, ndjson or none
+                             (default: csv,ndjson)
+  --port <n>                 Listen port for exporter (default: 9464) and serve (default: PORT or 3000)
+  --host <address>           serve: listen address (default: 127.0.0.1; 0.0.0.0 for every interface)
+  --collect-every <minutes>  exporter: collect SFDP and network data in-process at this interval
+  --keep-intra-epochs <n>    Newest epochs whose intra-epoch snapshots are kept; older ones are
+                             rolled up into the epoch's canonical snapshot (default: 2)
+  --keep-epochs <n>          Newest canonical epoch snapshots kept (default: all)
+  --record <file>            collect: also save every RPC and metadata HTTP exchange of the run
+                             to a fixture bundle (gzip when <file> ends in .gz)
+  --replay <file>            collect: rerun a recorded bundle with no network and the clock frozen
+                             at recording time (same bundle, same latest.json); sends no alerts.
+                             Needs --out-dir, so a replay never overwrites the live ./data
+  --dry-run                  Do everything except write files or send alerts
+  --json                     Log JSON lines; report prints JSON
+  -h, --help                 Show this help
+
+Nakamoto and superminority thresholds come from config/metrics.json (METRICS_CONFIG overrides the path).
+
+Exit codes: 0 ok, 1 failure, 2 usage error, 3 validation failed (validate, or collected data
+that breaks the schema; nothing is written then), 4 RPC failure`;
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  rpc: { type: "string" },
+  "out-dir": { type: "string" },
+  authorities: { type: "string" },
+  "metadata-source": { type: "string" },
+  "export-format": { type: "string" },
+  port: { type: "string" },
+  host: { type: "string" },
+  "collect-every": { type: "string" },
+  "keep-intra-epochs": { type: "string" },
+  "keep-epochs": { type: "string" },
+  record: { type: "string" },
+  replay: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const positive = (name, v) => {
+  const n = Number(v);
+  if (!(n > 0)) throw new UsageError(`--${name} must be a positive number (got "${v}")`);
+  return n;
+};
+
+const list = (s) => s.split(",").map(x => x.trim()).filter(Boolean);
+
+// "firep=FiRep...:SFDP Main,mpa4=mpa4..." or a JSON file path
+function parseAuthorities(spec) {
+  if (fs.existsSync(spec)) return JSON.parse(fs.readFileSync(spec, "utf8"));
+  const out = {};
+  for (const item of list(spec)) {
+    const m = /^(\w+)=([1-9A-HJ-NP-Za-km-z]{32,44})(?::(.+))?$/.exec(item);
+    if (!m) throw new UsageError(`Bad --authorities entry "${item}" (expected key=pubkey[:label])`);
+    out[m[1]] = { authority: m[2], label: m[3] || m[1] };
+  }
+  if (!Object.keys(out).length) throw new UsageError("--authorities is empty");
+  return out;
+}
+
+// Resolves on SIGINT/SIGTERM, rejects if the server fails (e.g. port in use)
+const untilSignal = (server) => new Promise((resolve, reject) => {
+  server.on("error", reject);
+  for (const sig of ["SIGINT", "SIGTERM"]) process.once(sig, resolve);
+});
+
+const COMMANDS = {
+  async collect(args, o) {
+    const [target] = args;
+    if (!["sfdp", "network", "all"].includes(target)) throw new UsageError(`collect needs a target: sfdp, network or all${target ? ` (got "${target}")` : ""}`);
+    if (o.record && o.replay) throw new UsageError("--record and --replay can't be combined");
+    if (o.replay && !o.outDirGiven) throw new UsageError("--replay needs --out-dir: a replay writes every data file and must not overwrite ./data");
+
+    // A replay takes what to collect from the bundle and answers every request from it
+    const replay = o.replay ? createReplay(loadBundle(o.replay)) : null;
+    const recorder = o.record ? createRecorder({ cacheDir: path.join(o.outDir, "cache") }) : null;
+    const fixture = replay || recorder;
+    const client = replay
+      ? createRpcClient({ endpoints: [REPLAY_ENDPOINT], retries: 1, fetch: replay.fetch, log: o.log })
+      : createRpcClient({ endpoints: o.rpc ? list(o.rpc) : endpointsFromEnv(), log: o.log, ...(recorder && { fetch: recorder.fetch }) });
+    const run = replay ? replay.run : { target, authorities: o.authorities, metadataSources: o.metadataSources, metadataFile: process.env.METADATA_FILE ?? null };
+    if (replay) o.log.info(`Replaying ${o.replay} (recorded ${replay.run.target} at ${new Date(replay.now()).toISOString()})`);
+
+    const common = {
+      client, outDir: o.outDir, metadataSources: run.metadataSources, exportFormats: o.exportFormats, dryRun: o.dryRun, log: o.log,
+      ...(fixture && { metadataOptions: fixture.metadataOptions }),
+      ...(replay && { now: replay.now }),
+    };
+    const sfdpOpts = { authorities: run.authorities, retention: o.retention, ...(replay && { previous: replay.previous, alerting: false }) };
+    // The network collector's streak base: the bundle's on replay, and read before the run overwrites it when recording
+    const previousNetwork = replay ? replay.previousNetwork : recorder ? readPreviousNetwork(o.outDir, o.log) : undefined;
+    try {
+      if (target === "sfdp") await collectSfdp({ ...common, ...sfdpOpts });
+      else if (target === "network") await collectNetwork({ ...common, previous: previousNetwork });
+      else await collectAll({ ...common, ...sfdpOpts, previousNetwork });
+    } finally {
+      // Failed runs are recorded too: those are the ones worth replaying
+      if (recorder) {
+        saveBundle(o.record, recorder.bundle({ run, dataDir: o.outDir, previousNetwork }));
+        o.log.info(`Recorded fixture bundle ${o.record}`);
+      }
+    }
+    return EXIT.OK;
+  },
+
+  async history(args, o) {
+    if (o.dryRun) {
+      o.log.info(`${listSnapshots(o.outDir).length} snapshots would be folded into history (dry run)`);
+      return EXIT.OK;
+    }
+    const { outPath, history, validatorHistory } = writeHistory(o.outDir, { log: o.log });
+    const eps = history.epochs.map(e => e.epoch);
+    o.log.info(`${eps.length} epochs (${eps[0] ?? "-"}..${eps[eps.length - 1] ?? "-"}) saved to ${outPath}`, { epochs: eps.length, outPath });
+    o.log.info(`${Object.keys(validatorHistory.validators).length} validator series saved to ${path.join(o.outDir, "validator-history.json")}`);
+    return EXIT.OK;
+  },
+
+  async diff(args, o) {
+    const [fromArg, toArg] = args.map(Number);
+    if (args.some(a => !Number.isInteger(Number(a)))) throw new UsageError("diff takes epoch numbers");
+    const snaps = listSnapshots(o.outDir);
+    const to = toArg ? snaps.find(s => s.epoch === toArg) : snaps[snaps.length - 1];
+    const from = fromArg ? snaps.find(s => s.epoch === fromArg) : snaps.filter(s => to && s.epoch < to.epoch).pop();
+    if (!from || !to) {
+      o.log.error("Need two snapshots to diff");
+      return EXIT.FAILURE;
+    }
+    const changelog = diffSnapshots(readSnapshot(from.file), readSnapshot(to.file));
+    const s = changelog.summary;
+    o.log.info(`Epoch ${from.epoch} → ${to.epoch}: +${s.added} / -${s.removed} validators, ${s.increased} increased, ${s.decreased} decreased, ${s.newlyDeactivating} newly deactivating, ${s.bucketMoves} bucket moves`,
+      { fromEpoch: from.epoch, toEpoch: to.epoch, summary: s });
+    if (!o.dryRun) {
+      const outPath = path.join(o.outDir, "changelog.json");
+      writeJson(outPath, changelog, true);
+      o.log.info(`Saved to ${outPath}`);
+    }
+    return EXIT.OK;
+  },
+
+  async export(args, o) {
+    const sources = [["latest.json", sfdpTables], ["network-latest.json", networkTables]]
+      .map(([file, tables]) => [path.join(o.outDir, file), tables])
+      .filter(([file]) => fs.existsSync(file));
+    if (!sources.length) {
+      o.log.error(`No latest.json or network-latest.json in ${o.outDir}`);
+      return EXIT.FAILURE;
+    }
+    for (const [file, tables] of sources) {
+      const t = tables(JSON.parse(fs.readFileSync(file, "utf8")));
+      const summary = Object.entries(t).map(([name, { rows }]) => `${name} ${rows.length}`).join(", ");
+      if (o.dryRun || !o.exportFormats.length) {
+        o.log.info(`${path.basename(file)}: ${summary} rows (not written)`);
+        continue;
+      }
+      const written = writeExports(o.outDir, t, o.exportFormats);
+      o.log.info(`${path.basename(file)}: ${summary} rows → ${written.length} files`, { file, written });
+    }
+    return EXIT.OK;
+  },
+
+  async report(args, o) {
+    const report = buildReport(o.outDir);
+    process.stdout.write(o.json ? JSON.stringify(report, null, 2) + "\n" : formatReport(report).join("\n") + "\n");
+    return EXIT.OK;
+  },
+
+  async validate(args, o) {
+    const [dir] = args;
+    const results = validateDataDir(dir ? path.resolve(dir) : o.outDir);
+    let bad = 0;
+    for (const { file, errors } of results) {
+      if (errors.length) bad++;
+      (errors.length ? o.log.error : o.log.info)(`${errors.length ? "✗" : "✓"} ${file}${errors.length ? `: ${errors.length} problem(s)` : ""}`, { file, errors });
+      if (!o.json) for (const e of errors.slice(0, 20)) o.log.error(`    ${e}`);
+    }
+    return bad ? EXIT.INVALID : EXIT.OK;
+  },
+
+  async migrate(args, o) {
+    const results = migrateDataDir(o.outDir, { dryRun: o.dryRun });
+    for (const r of results) {
+      const what = r.action === "archived" ? `archived as ${r.to}` : r.action === "upgraded" ? "upgraded" : "already current";
+      o.log.info(`${r.file}: schema ${r.from}, ${what}`, r);
+    }
+    const changed = results.filter(r => r.action !== "current").length;
+    o.log.info(`${changed} of ${results.length} files ${o.dryRun ? "would be " : ""}migrated`, { changed, files: results.length, dryRun: o.dryRun });
+    if (changed && !o.dryRun) {
+      const { outPath } = writeHistory(o.outDir, { log: o.log });
+      o.log.info(`History rebuilt: ${outPath}`);
+    }
+    return EXIT.OK;
+  },
+
+  async alerts(args, o) {
+    const curr = JSON.parse(fs.readFileSync(path.join(o.outDir, "latest.json"), "utf8"));
+    const { alerts, fresh, deliveries } = await runAlerts(o.outDir, curr, { dryRun: o.dryRun });
+    o.log.info(`Epoch ${curr.epoch}: ${alerts.length} active alerts, ${fresh.length} new${o.dryRun ? " (dry run, nothing sent)" : ""}`, { epoch: curr.epoch, alerts: alerts.length, fresh: fresh.length });
+    for (const a of fresh) o.log.info(`  [${a.severity}] ${a.title}${a.message ? ` — ${a.message}` : ""}`, { alert: a });
+    for (const d of deliveries) (d.ok ? o.log.info : o.log.warn)(`  ${d.sink}: ${d.ok ? `sent ${d.sent}` : `FAILED (${d.error})`}`, d);
+    return deliveries.some(d => !d.ok) ? EXIT.FAILURE : EXIT.OK;
+  },
+
+  // Runs until SIGINT/SIGTERM
+  async exporter(args, o) {
+    let collect;
+    if (o.collectEvery) {
+      const client = createRpcClient({ endpoints: o.rpc ? list(o.rpc) : endpointsFromEnv(), log: o.log });
+      const common = { client, outDir: o.outDir, metadataSources: o.metadataSources, exportFormats: o.exportFormats, dryRun: o.dryRun, log: o.log };
+      collect = async () => {
+        const { sfdp, network } = await collectAll({ ...common, authorities: o.authorities, retention: o.retention });
+        return { sfdp: sfdp.result, network: network.result };
+      };
+    }
+    const exporter = startExporter({ port: o.port ?? 9464, dataDir: o.outDir, collect, intervalMs: o.collectEvery * 60 * 1000, log: o.log });
+    await untilSignal(exporter.server);
+    await exporter.close();
+    return EXIT.OK;
+  },
+
+  // Runs until SIGINT/SIGTERM
+  async serve(args, o) {
+    const api = startApiServer({ port: o.port ?? (Number(process.env.PORT) || 3000), host: o.host, dataDir: o.outDir, log: o.log });
+    await untilSignal(api.server);
+    await api.close();
+    return EXIT.OK;
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals: [command, ...args] } = parsed;
+  if (values.help || !command) {
+    process.stdout.write(USAGE + "\n");
+    return values.help ? EXIT.OK : EXIT.USAGE;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+
+  // METADATA_SOURCES is checked here too, so a typo in it fails before any collection starts
+  const metadataSources = values["metadata-source"] ? list(values["metadata-source"]) : sourcesFromEnv();
+  const unknown = metadataSources.filter(s => !PROVIDERS[s]);
+  if (unknown.length) throw new UsageError(`Unknown ${values["metadata-source"] ? "--metadata-source" : "METADATA_SOURCES"} ${unknown.join(", ")} (expected: ${Object.keys(PROVIDERS).join(", ")})`);
+
+  const exportFormats = values["export-format"] ? list(values["export-format"]).filter(f => f !== "none") : DEFAULT_FORMATS;
+  const badFormats = exportFormats.filter(f => !FORMATS[f]);
+  if (badFormats.length) throw new UsageError(`Unknown --export-format ${badFormats.join(", ")} (expected: ${Object.keys(FORMATS).join(", ")}, none)`);
+
+  const o = {
+    rpc: values.rpc,
+    outDir: path.resolve(values["out-dir"] || path.join(__dirname, "..", "data")),
+    outDirGiven: values["out-dir"] != null,
+    authorities: values.authorities ? parseAuthorities(values.authorities) : AUTHORITIES,
+    metadataSources,
+    exportFormats,
+    port: values.port ? positive("port", values.port) : null,
+    host: values.host,
+    collectEvery: values["collect-every"] ? positive("collect-every", values["collect-every"]) : 0,
+    retention: {
+      intraEpochs: values["keep-intra-epochs"] ? positive("keep-intra-epochs", values["keep-intra-epochs"]) : DEFAULT_RETENTION.intraEpochs,
+      canonicalEpochs: values["keep-epochs"] ? positive("keep-epochs", values["keep-epochs"]) : DEFAULT_RETENTION.canonicalEpochs,
+    },
+    record: values.record && path.resolve(values.record),
+    replay: values.replay && path.resolve(values.replay),
+    dryRun: values["dry-run"],
+    json: values.json,
+    log: createLogger({ json: values.json }),
+  };
+  return COMMANDS[command](args, o);
+}
+
+// Output piped into `head` and friends: stop quietly once the reader goes away
+for (const stream of [process.stdout, process.stderr]) {
+  stream.on("error", (e) => { if (e.code === "EPIPE") process.exit(process.exitCode ?? EXIT.OK); else throw e; });
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => {
+    if (e instanceof UsageError) {
+      process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+      process.exitCode = EXIT.USAGE;
+      return;
+    }
+    if (e instanceof ValidationError) {
+      process.stderr.write(`Invalid data, nothing written: ${e.message}\n`);
+      process.exitCode = EXIT.INVALID;
+      return;
+    }
+    process.stderr.write(`${e instanceof RpcError ? "RPC failure" : "Error"}: ${e.stack || e.message}\n`);
+    process.exitCode = e instanceof RpcError ? EXIT.RPC : EXIT.FAILURE;
+  },
+);
@@ -0,0 +1,284 @@
+// Alerts after each collection run: compares the new snapshot with the previous
+// one, deduplicates against data/alerts-state.json and hands new alerts to sinks.
+//
+// Conditions and sinks are configured in config/alerts.json. Sink settings may
+// reference environment variables as ${NAME}; a sink whose url expands to an
+// empty string is treated as not configured.
+const fs = require("fs");
+const path = require("path");
+const compliance = require("./compliance");
+const { combinedStakes, previousSnapshot } = require("./changelog");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_CONFIG = path.join(ROOT, "config", "alerts.json");
+const STATE_FILE = "alerts-state.json";
+
+// --- Conditions ---------------------------------------------------------------
+
+// Active SFDP stake per voter plus the validator record from the first authority that has it
+function sfdpValidators(snap) {
+  const out = {};
+  for (const a of Object.values(snap?.accounts || {})) {
+    for (const v of a.validators || []) {
+      if (v.activeStake > 0 && !out[v.voter]) out[v.voter] = v;
+    }
+  }
+  return out;
+}
+
+const label = (v) => v.name || `${v.voter.slice(0, 12)}…`;
+
+// Each condition returns a list of alerts; `prev` is null when there is no earlier snapshot
+const CONDITIONS = {
+  newComplianceFailure(prev, curr) {
+    if (!prev || !curr.compliance) return [];
+    // Re-check the previous snapshot with today's rules so rule edits don't look like new failures
+    const before = compliance.evaluate(compliance.complianceInputs(prev.accounts), curr.compliance.rules);
+    const failedBefore = new Set(before.validators.flatMap(v => v.results.filter(r => r.status === "fail").map(r => `${v.voter}:${r.rule}`)));
+    const out = [];
+    for (const v of curr.compliance.validators) {
+      for (const r of v.results) {
+        if (r.status !== "fail" || failedBefore.has(`${v.voter}:${r.rule}`)) continue;
+        out.push({
+          key: `compliance:${v.voter}:${r.rule}`, voter: v.voter, value: r.value, threshold: r.threshold,
+          title: `${label(v)} now fails ${r.rule}`, message: r.reason,
+        });
+      }
+    }
+    return out;
+  },
+
+  newlyDelinquent(prev, curr) {
+    if (!prev) return [];
+    const before = sfdpValidators(prev);
+    return Object.values(sfdpValidators(curr))
+      .filter(v => v.delinquent && !before[v.voter]?.delinquent)
+      .map(v => ({
+        key: `delinquent:${v.voter}`, voter: v.voter, value: true,
+        title: `${label(v)} is delinquent`, message: `SFDP validator with ${Math.round(v.activeStake)} SOL active stake stopped voting`,
+      }));
+  },
+
+  nakamotoDrop(prev, curr, { minDrop = 1 }) {
+    const before = prev?.combined?.nakamotoCoeff33, after = curr.combined?.nakamotoCoeff33;
+    if (before == null || after == null || before - after < minDrop) return [];
+    return [{
+      key: `nakamoto:${after}`, value: after, threshold: before,
+      title: `Combined Nakamoto coefficient dropped ${before} → ${after}`, message: `Epoch ${prev.epoch} → ${curr.epoch}`,
+    }];
+  },
+
+  largeStakeMove(prev, curr, { minSol = 100000 }) {
+    if (!prev) return [];
+    const before = combinedStakes(prev), after = combinedStakes(curr);
+    const out = [];
+    for (const voter of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const b = before[voter]?.stake || 0, a = after[voter]?.stake || 0;
+      if (Math.abs(a - b) < minSol) continue;
+      const name = after[voter]?.name || before[voter]?.name || null;
+      out.push({
+        key: `stake-move:${voter}:${curr.epoch}`, voter, value: a - b, threshold: minSol,
+        title: `${label({ voter, name })} SFDP stake ${a > b ? "+" : ""}${Math.round(a - b)} SOL`,
+        message: `${Math.round(b)} → ${Math.round(a)} SOL (epoch ${prev.epoch} → ${curr.epoch})`,
+      });
+    }
+    return out.sort((x, y) => Math.abs(y.value) - Math.abs(x.value));
+  },
+
+  top3AsnShare(prev, curr, { maxPct = 40 }) {
+    const share = parseFloat(curr.combined?.infraConcentration?.top3ASNPct);
+    if (isNaN(share) || share <= maxPct) return [];
+    const top = (curr.combined.infraConcentration.topASNs || []).slice(0, 3).map(a => a.name).join(", ");
+    return [{
+      key: "top3-asn", value: share, threshold: maxPct,
+      title: `Top-3 ASN share ${share}% is above ${maxPct}%`, message: top,
+    }];
+  },
+};
+
+// Runs every enabled condition; alerts carry condition, severity and epoch
+function evaluateAlerts(prev, curr, conditions = {}) {
+  const out = [];
+  for (const [id, opts] of Object.entries(conditions)) {
+    if (!opts || opts.enabled === false) continue;
+    if (!CONDITIONS[id]) throw new Error(`Unknown alert condition "${id}" (expected one of: ${Object.keys(CONDITIONS).join(", ")})`);
+    for (const a of CONDITIONS[id](prev, curr, opts)) {
+      out.push({ condition: id, severity: opts.severity || "warning", epoch: curr.epoch, ...a });
+    }
+  }
+  return out;
+}
+
+// --- Deduplication --------------------------------------------------------------
+
+// Works out which alerts each sink still needs. An alert is due for a sink when
+// that sink never delivered it, or after `renotifyHours` while it keeps firing.
+// Keys that stop firing drop out of the state, so a recurring issue alerts again.
+function dedupe(alerts, state = {}, { now = Date.now(), renotifyHours = null, sinks = [] } = {}) {
+  const ts = new Date(now).toISOString();
+  const due = Object.fromEntries(sinks.map(s => [s, []]));
+  const fresh = [];
+  const next = {};
+  for (const a of alerts) {
+    const seen = state[a.key];
+    const notified = { ...seen?.notified };
+    next[a.key] = { condition: a.condition, firstSeen: seen?.firstSeen || ts, lastSeen: ts, notified };
+    let isFresh = false;
+    for (const s of sinks) {
+      if (notified[s] && (renotifyHours == null || (now - Date.parse(notified[s])) / 3600000 < renotifyHours)) continue;
+      due[s].push(a);
+      isFresh = true;
+    }
+    if (isFresh || (!sinks.length && !seen)) fresh.push(a);
+  }
+  return { due, fresh, state: next };
+}
+
+// --- Sinks ------------------------------------------------------------------------
+
+const ICONS = { critical: "🚨", warning: "⚠️", info: "ℹ️" };
+
+async function postJson(fetch, url, body, timeoutMs) {
+  const res = await fetch(url, {
+    method: "POST", headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+const heading = (alerts, ctx) => `SFDP alerts — epoch ${ctx.epoch} (${alerts.length} new)`;
+const line = (a) => `${ICONS[a.severity] || "•"} ${a.title}${a.message ? ` — ${a.message}` : ""}`;
+
+// Raw alert objects for any HTTP receiver
+function webhookSink({ url, fetch = globalThis.fetch, timeoutMs = 10000 } = {}) {
+  return {
+    name: "webhook",
+    async send(alerts, ctx) {
+      await postJson(fetch, url, { source: "sfdp-dashboard", epoch: ctx.epoch, timestamp: ctx.timestamp, alerts }, timeoutMs);
+    },
+  };
+}
+
+// Slack incoming webhook: one mrkdwn message, capped at `maxLines` alerts
+function slackSink({ url, fetch = globalThis.fetch, timeoutMs = 10000, maxLines = 40 } = {}) {
+  return {
+    name: "slack",
+    async send(alerts, ctx) {
+      const lines = alerts.slice(0, maxLines).map(line);
+      if (alerts.length > maxLines) lines.push(`…and ${alerts.length - maxLines} more`);
+      await postJson(fetch, url, { text: `*${heading(alerts, ctx)}*\n${lines.join("\n")}` }, timeoutMs);
+    },
+  };
+}
+
+// Discord webhook: `content` is limited to 2000 characters, so long lists go out as several messages
+function discordSink({ url, fetch = globalThis.fetch, timeoutMs = 10000, maxChars = 2000 } = {}) {
+  return {
+    name: "discord",
+    async send(alerts, ctx) {
+      const messages = [];
+      let cur = `**${heading(alerts, ctx)}**`;
+      for (const l of alerts.map(line).map(l => l.slice(0, maxChars - 1))) {
+        if (cur.length + 1 + l.length > maxChars) { messages.push(cur); cur = l; } else cur += "\n" + l;
+      }
+      messages.push(cur);
+      for (const content of messages) await postJson(fetch, url, { content }, timeoutMs);
+    },
+  };
+}
+
+// Appends one JSON line per alert
+function jsonlSink({ file } = {}) {
+  return {
+    name: "jsonl",
+    async send(alerts, ctx) {
+      if (!file) throw new Error("jsonl sink needs a file");
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, alerts.map(a => JSON.stringify({ ts: ctx.timestamp, ...a })).join("\n") + "\n");
+    },
+  };
+}
+
+const SINKS = { webhook: webhookSink, slack: slackSink, discord: discordSink, jsonl: jsonlSink };
+
+function createSink({ type, name, ...opts }) {
+  const factory = SINKS[type];
+  if (!factory) throw new Error(`Unknown alert sink "${type}" (expected one of: ${Object.keys(SINKS).join(", ")})`);
+  return factory(opts);
+}
+
+// --- Config & run -------------------------------------------------------------------
+
+const expandEnv = (s, env) => s.replace(/\$\{(\w+)\}/g, (_, k) => env[k] || "");
+
+// Reads config/alerts.json, expands ${ENV} references and drops sinks with no url
+function loadAlertConfig(file = process.env.ALERTS_CONFIG || DEFAULT_CONFIG, env = process.env) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const sinks = (raw.sinks || [])
+    .map(s => Object.fromEntries(Object.entries(s).map(([k, v]) => [k, typeof v === "string" ? expandEnv(v, env) : v])))
+    .filter(s => !("url" in s) || s.url);
+  return { renotifyHours: raw.renotifyHours ?? null, conditions: raw.conditions || {}, sinks };
+}
+
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+function writeState(file, state) {
+  fs.writeFileSync(file + ".tmp", JSON.stringify(state, null, 2));
+  fs.renameSync(file + ".tmp", file);
+}
+
+// Sinks are tracked in the dedup state by `name` (defaults to their type)
+const sinkName = (cfg) => cfg.name || cfg.type;
+
+// Evaluates `curr` against the previous stored snapshot and delivers new alerts.
+// Relative sink files (the jsonl log) live in `dataDir` alongside the dedup state.
+// Returns { alerts, fresh, deliveries: [{ sink, sent, ok, error }] }
+async function runAlerts(dataDir, curr, { config = loadAlertConfig(), prev, fetch, now = Date.now(), dryRun = false } = {}) {
+  if (prev === undefined) prev = previousSnapshot(dataDir, curr.epoch);
+  const alerts = evaluateAlerts(prev, curr, config.conditions);
+  const statePath = path.join(dataDir, STATE_FILE);
+  const { due, fresh, state } = dedupe(alerts, readState(statePath), {
+    now, renotifyHours: config.renotifyHours, sinks: config.sinks.map(sinkName),
+  });
+  if (dryRun) return { alerts, fresh, deliveries: [] };
+
+  const ctx = { epoch: curr.epoch, timestamp: new Date(now).toISOString() };
+  const deliveries = [];
+  for (const cfg of config.sinks) {
+    const name = sinkName(cfg);
+    const batch = due[name];
+    if (!batch.length) continue;
+    try {
+      const opts = cfg.file ? { ...cfg, file: path.resolve(dataDir, cfg.file) } : cfg;
+      await createSink({ ...(fetch && { fetch }), ...opts }).send(batch, ctx);
+      for (const a of batch) state[a.key].notified[name] = ctx.timestamp;
+      deliveries.push({ sink: name, sent: batch.length, ok: true });
+    } catch (e) {
+      // Left undelivered for this sink, so the next run retries it
+      deliveries.push({ sink: name, sent: 0, ok: false, error: e.message });
+    }
+  }
+  writeState(statePath, state);
+  return { alerts, fresh, deliveries };
+}
+
+module.exports = {
+  CONDITIONS,
+  SINKS,
+  evaluateAlerts,
+  dedupe,
+  createSink,
+  webhookSink,
+  slackSink,
+  discordSink,
+  jsonlSink,
+  loadAlertConfig,
+  runAlerts,
+};
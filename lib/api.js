@@ -0,0 +1,278 @@
+// Read-only query API over the collected data, plus static hosting of the dashboards:
+//   GET /api/validators?source=sfdp|network&<field>=a,b&q=<text>&sort=-field&limit=&offset=&fields=&epoch=
+//   GET /api/validators/:vote
+//   GET /api/network                      network-latest.json without the validator list
+//   GET /api/epochs                       per-epoch summaries (history.json shape)
+//   GET /api/epochs/:epoch/summary
+//   GET /api/diff?from=&to=               changelog between two snapshot epochs
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { summarizeSnapshot } = require("./history");
+const { listSnapshots, readSnapshot } = require("./snapshots");
+const metrics = require("./metrics");
+const { loadTable } = require("./clients");
+const { diffSnapshots } = require("./changelog");
+const { sfdpTables } = require("./export");
+const { createLogger } = require("./log");
+
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Query parameters of /api/validators that are not field filters
+const RESERVED = new Set(["source", "epoch", "q", "sort", "limit", "offset", "fields"]);
+
+const MIME = {
+  ".html": "text/html; charset=utf-8", ".js": "text/javascript; charset=utf-8", ".json": "application/json; charset=utf-8",
+  ".css": "text/css; charset=utf-8", ".csv": "text/csv; charset=utf-8", ".tsv": "text/tab-separated-values; charset=utf-8",
+  ".ndjson": "application/x-ndjson", ".jsonl": "application/x-ndjson", ".geojson": "application/geo+json", ".svg": "image/svg+xml", ".png": "image/png", ".ico": "image/x-icon",
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// JSON files (and snapshots, via readSnapshot) re-read only when their mtime changes
+function createStore(dataDir) {
+  const cache = new Map();
+  const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+  const read = (file, load = readJson) => {
+    if (!fs.existsSync(file)) return null;
+    const mtime = fs.statSync(file).mtimeMs;
+    const hit = cache.get(file);
+    if (hit && hit.mtime === mtime) return hit.value;
+    const value = load(file);
+    cache.set(file, { mtime, value });
+    return value;
+  };
+  return {
+    dataDir,
+    latest: () => read(path.join(dataDir, "latest.json")),
+    network: () => read(path.join(dataDir, "network-latest.json")),
+    validatorHistory: () => read(path.join(dataDir, "validator-history.json")),
+    snapshots: () => listSnapshots(dataDir),
+    snapshot(epoch) {
+      const s = listSnapshots(dataDir).find(x => x.epoch === epoch);
+      return s ? read(s.file, readSnapshot) : null;
+    },
+  };
+}
+
+function intParam(params, name, fallback) {
+  if (!params.has(name)) return fallback;
+  const n = Number(params.get(name));
+  if (!Number.isInteger(n) || n < 0) throw new HttpError(400, `${name} must be a non-negative integer`);
+  return n;
+}
+
+// "-activeStake,name" → comparator; nulls sort last in both directions
+function comparator(spec) {
+  const keys = spec.split(",").filter(Boolean).map(k => (k[0] === "-" ? [k.slice(1), -1] : [k.replace(/^\+/, ""), 1]));
+  return (a, b) => {
+    for (const [k, dir] of keys) {
+      const x = a[k], y = b[k];
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return x == null ? 1 : -1;
+      }
+      const c = typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y));
+      if (c) return c * dir;
+    }
+    return 0;
+  };
+}
+
+// Filters, sorts and pages `rows` by the query string. Unknown fields are a 400.
+function queryRows(rows, params, columns) {
+  const known = new Set(columns);
+  const filters = [];
+  for (const [key, value] of params) {
+    if (RESERVED.has(key)) continue;
+    if (!known.has(key)) throw new HttpError(400, `Unknown filter "${key}"`);
+    const wanted = new Set(value.split(",").map(v => v.toLowerCase()));
+    filters.push(r => wanted.has(String(r[key]).toLowerCase()));
+  }
+  const q = (params.get("q") || "").toLowerCase();
+  const matchesQ = (r) => !q || Object.values(r).some(v => typeof v === "string" && v.toLowerCase().includes(q));
+  let out = rows.filter(r => filters.every(f => f(r)) && matchesQ(r));
+
+  const sort = params.get("sort");
+  if (sort) {
+    const unknown = sort.split(",").map(k => k.replace(/^[-+]/, "")).filter(k => k && !known.has(k));
+    if (unknown.length) throw new HttpError(400, `Unknown sort field ${unknown.join(", ")}`);
+    out = [...out].sort(comparator(sort));
+  }
+
+  const limit = Math.min(intParam(params, "limit", DEFAULT_LIMIT), MAX_LIMIT);
+  const offset = intParam(params, "offset", 0);
+  const fields = params.get("fields")?.split(",").filter(f => known.has(f));
+  const items = out.slice(offset, offset + limit).map(r => (fields?.length ? Object.fromEntries(fields.map(f => [f, r[f] ?? null])) : r));
+  return { total: out.length, offset, limit, items };
+}
+
+const columnsOf = (rows) => [...new Set(rows.flatMap(r => Object.keys(r)))];
+
+function validatorSource(store, params) {
+  const source = params.get("source") || "sfdp";
+  if (source === "network") {
+    const N = store.network();
+    if (!N) throw new HttpError(404, "No network-latest.json");
+    return { source, epoch: N.epoch, rows: N.validators };
+  }
+  if (source !== "sfdp") throw new HttpError(400, `Unknown source "${source}" (expected sfdp or network)`);
+  const epoch = params.has("epoch") ? intParam(params, "epoch") : null;
+  const D = epoch != null ? store.snapshot(epoch) : store.latest();
+  if (!D) throw new HttpError(404, epoch != null ? `No snapshot for epoch ${epoch}` : "No latest.json");
+  return { source, epoch: D.epoch, rows: sfdpTables(D)["sfdp-validators"].rows };
+}
+
+// Two stored snapshots by epoch; defaults to the two most recent
+function snapshotPair(store, params) {
+  const snaps = store.snapshots();
+  const num = (name) => (params.has(name) ? intParam(params, name) : null);
+  const toEpoch = num("to") ?? snaps[snaps.length - 1]?.epoch;
+  const fromEpoch = num("from") ?? snaps.filter(s => s.epoch < toEpoch).pop()?.epoch;
+  const from = fromEpoch != null && store.snapshot(fromEpoch);
+  const to = toEpoch != null && store.snapshot(toEpoch);
+  if (!from || !to) throw new HttpError(404, `Need snapshots for both epochs (from ${fromEpoch ?? "-"}, to ${toEpoch ?? "-"})`);
+  return [from, to];
+}
+
+// summarizeSnapshot with the client table and thresholds loaded once, as buildHistory does,
+// so /api/epochs and /api/epochs/:epoch/summary agree with each other and with history.json
+function epochSummarizer() {
+  const clientTable = loadTable();
+  const thresholds = metrics.loadOptions();
+  return (snap) => summarizeSnapshot(snap, clientTable, thresholds);
+}
+
+const ROUTES = [
+  [/^\/api\/validators$/, (store, params) => {
+    const { source, epoch, rows } = validatorSource(store, params);
+    return { source, epoch, ...queryRows(rows, params, columnsOf(rows)) };
+  }],
+
+  [/^\/api\/validators\/([1-9A-HJ-NP-Za-km-z]{32,44})$/, (store, params, [vote]) => {
+    const D = store.latest();
+    const N = store.network();
+    const sfdp = D ? sfdpTables(D)["sfdp-validators"].rows.filter(r => r.voter === vote) : [];
+    const network = N?.validators.find(v => v.voter === vote) || null;
+    const history = store.validatorHistory()?.validators[vote] || null;
+    if (!sfdp.length && !network && !history) throw new HttpError(404, `Unknown validator ${vote}`);
+    return {
+      vote,
+      epoch: D?.epoch ?? N?.epoch ?? null,
+      sfdp,
+      network,
+      compliance: D?.compliance?.validators.find(v => v.voter === vote) || null,
+      history,
+    };
+  }],
+
+  [/^\/api\/network$/, (store) => {
+    const N = store.network();
+    if (!N) throw new HttpError(404, "No network-latest.json");
+    const { validators, ...summary } = N;
+    return summary;
+  }],
+
+  [/^\/api\/epochs$/, (store) => {
+    const summarize = epochSummarizer();
+    return { epochs: store.snapshots().map(s => summarize(store.snapshot(s.epoch))) };
+  }],
+
+  [/^\/api\/epochs\/(\d+)\/summary$/, (store, params, [epoch]) => {
+    const snap = store.snapshot(Number(epoch));
+    if (!snap) throw new HttpError(404, `No snapshot for epoch ${epoch}`);
+    const prev = store.snapshots().filter(s => s.epoch < snap.epoch).pop();
+    return {
+      ...epochSummarizer()(snap),
+      compliance: snap.compliance?.summary ?? null,
+      changes: prev ? { fromEpoch: prev.epoch, ...diffSnapshots(store.snapshot(prev.epoch), snap).summary } : null,
+    };
+  }],
+
+  // Stamped with the newer snapshot's time rather than now, so the body (and ETag) is stable
+  [/^\/api\/diff$/, (store, params) => {
+    const [from, to] = snapshotPair(store, params);
+    return { ...diffSnapshots(from, to), generatedAt: to.timestamp };
+  }],
+];
+
+// Weak ETag over the response body; a matching If-None-Match gets a 304
+function send(req, res, status, body, type) {
+  const etag = `W/"${crypto.createHash("sha1").update(body).digest("base64url").slice(0, 27)}"`;
+  const headers = { "Content-Type": type, ETag: etag, "Cache-Control": "no-cache", "Access-Control-Allow-Origin": "*" };
+  if (status === 200 && req.headers["if-none-match"] === etag) {
+    res.writeHead(304, headers);
+    return res.end();
+  }
+  res.writeHead(status, { ...headers, "Content-Length": Buffer.byteLength(body) });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+// What of `root` the dashboards need: the top-level pages, the scripts they load and assets/
+function staticAllowlist(root) {
+  const pages = fs.readdirSync(root).filter(f => f.endsWith(".html"));
+  const scripts = pages.flatMap(p => [...fs.readFileSync(path.join(root, p), "utf8").matchAll(/<script src="([^":]+)"/g)].map(m => m[1]));
+  const files = new Set([...pages, ...scripts]);
+  return (rel) => files.has(rel) || rel.startsWith("assets/");
+}
+
+// Dashboard files under `root` (see staticAllowlist), with /data/* mapped to the data directory.
+// Dotfiles and dot-directories (.git, .env) are never served.
+function serveStatic(req, res, pathname, { root, dataDir, allowed }) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname === "/" ? "/index.html" : pathname);
+  } catch {
+    throw new HttpError(400, "Malformed URL");
+  }
+  if (rel.split(/[/\\]/).some(seg => seg.startsWith("."))) throw new HttpError(404, "Not found");
+  const isData = rel.startsWith("/data/");
+  const [base, sub] = isData ? [dataDir, rel.slice("/data/".length)] : [root, rel.slice(1)];
+  const file = path.resolve(base, sub);
+  if (!(isData || allowed(sub)) || !file.startsWith(path.resolve(base) + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw new HttpError(404, "Not found");
+  }
+  send(req, res, 200, fs.readFileSync(file), MIME[path.extname(file)] || "application/octet-stream");
+}
+
+// Starts the server, on loopback unless `host` says otherwise. Returns { server, close }
+function startApiServer({ port = 3000, host = "127.0.0.1", dataDir = path.join(ROOT, "data"), root = ROOT, log = createLogger() } = {}) {
+  const store = createStore(dataDir);
+  const allowed = staticAllowlist(root);
+
+  const server = http.createServer((req, res) => {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch {
+        throw new HttpError(400, "Malformed URL");
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Method not allowed");
+      if (!url.pathname.startsWith("/api/")) return serveStatic(req, res, url.pathname, { root, dataDir, allowed });
+      for (const [re, handler] of ROUTES) {
+        const m = re.exec(url.pathname);
+        if (m) return send(req, res, 200, JSON.stringify(handler(store, url.searchParams, m.slice(1))), MIME[".json"]);
+      }
+      throw new HttpError(404, `No route for ${url.pathname}`);
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) log.error(`${req.method} ${req.url}: ${e.stack || e.message}`);
+      send(req, res, status, JSON.stringify({ error: e.message }), MIME[".json"]);
+    }
+  });
+
+  server.listen(port, host, () => {
+    log.info(`Serving dashboards and /api on http://${host}:${server.address().port} (data: ${dataDir})`, { port: server.address().port, dataDir });
+  });
+  return { server, close: () => new Promise((resolve) => server.close(() => resolve())) };
+}
+
+module.exports = { HttpError, createStore, queryRows, ROUTES, startApiServer };
@@ -0,0 +1,113 @@
+// Epoch-over-epoch delegation changelog between two SFDP snapshots
+const path = require("path");
+const metrics = require("./metrics");
+const { listSnapshots, readSnapshot, writeJson } = require("./snapshots");
+
+// Ignore resizes smaller than these (epoch rewards move every account a little)
+const DEFAULTS = { minDeltaSol: 100, minDeltaPct: 0.5 };
+
+const byVoter = (validators) => Object.fromEntries((validators || []).map(v => [v.voter, v]));
+
+function isResize(before, after, o) {
+  const delta = after - before;
+  return Math.abs(delta) >= o.minDeltaSol && (before <= 0 || Math.abs(delta) / before * 100 >= o.minDeltaPct);
+}
+
+function diffAuthority(prevVals, currVals, o) {
+  const prev = byVoter(prevVals), curr = byVoter(currVals);
+  const out = { added: [], removed: [], increased: [], decreased: [], newlyDeactivating: [], netChange: 0 };
+  const voters = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+
+  for (const voter of voters) {
+    const p = prev[voter], c = curr[voter];
+    const before = p?.activeStake || 0, after = c?.activeStake || 0;
+    const name = c?.name || p?.name || null;
+    out.netChange += after - before;
+
+    if (before <= 0 && after > 0) out.added.push({ voter, name, activeStake: after });
+    else if (before > 0 && after <= 0) out.removed.push({ voter, name, activeStake: before });
+    else if (before > 0 && isResize(before, after, o)) {
+      (after > before ? out.increased : out.decreased).push({ voter, name, before, after, delta: after - before });
+    }
+
+    const deactBefore = p?.deactivatingStake || 0, deactAfter = c?.deactivatingStake || 0;
+    if (deactAfter > deactBefore && isResize(deactBefore, deactAfter, o)) {
+      out.newlyDeactivating.push({ voter, name, before: deactBefore, after: deactAfter, delta: deactAfter - deactBefore });
+    }
+  }
+
+  out.added.sort((a, b) => b.activeStake - a.activeStake);
+  out.removed.sort((a, b) => b.activeStake - a.activeStake);
+  for (const k of ["increased", "decreased", "newlyDeactivating"]) {
+    out[k].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+  return out;
+}
+
+// Combined SFDP stake per voter, summed over every authority
+function combinedStakes(snap) {
+  const out = {};
+  for (const a of Object.values(snap.accounts || {})) {
+    for (const v of a.validators || []) {
+      if (!out[v.voter]) out[v.voter] = { stake: 0, name: v.name || null };
+      out[v.voter].stake += v.activeStake || 0;
+    }
+  }
+  return out;
+}
+
+function diffSnapshots(prev, curr, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const authorities = {};
+  const keys = new Set([...Object.keys(prev.accounts || {}), ...Object.keys(curr.accounts || {})]);
+  for (const key of keys) {
+    authorities[key] = diffAuthority(prev.accounts?.[key]?.validators, curr.accounts?.[key]?.validators, o);
+  }
+
+  // Validators whose combined SFDP stake crossed a bucket edge
+  const bucketMoves = [];
+  const pc = combinedStakes(prev), cc = combinedStakes(curr);
+  for (const voter of new Set([...Object.keys(pc), ...Object.keys(cc)])) {
+    const before = pc[voter]?.stake || 0, after = cc[voter]?.stake || 0;
+    if (before <= 0 || after <= 0) continue;
+    const from = metrics.bucketFor(before), to = metrics.bucketFor(after);
+    if (from !== to) bucketMoves.push({ voter, name: cc[voter].name || pc[voter].name, from, to, before, after });
+  }
+  bucketMoves.sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+
+  const summary = { added: 0, removed: 0, increased: 0, decreased: 0, newlyDeactivating: 0, bucketMoves: bucketMoves.length, netChange: 0 };
+  for (const a of Object.values(authorities)) {
+    for (const k of ["added", "removed", "increased", "decreased", "newlyDeactivating"]) summary[k] += a[k].length;
+    summary.netChange += a.netChange;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    fromEpoch: prev.epoch,
+    toEpoch: curr.epoch,
+    fromTimestamp: prev.timestamp,
+    toTimestamp: curr.timestamp,
+    thresholds: o,
+    summary,
+    authorities,
+    bucketMoves,
+  };
+}
+
+// Latest stored snapshot from an epoch before `epoch`, or null
+function previousSnapshot(dataDir, epoch) {
+  const prior = listSnapshots(dataDir).filter(s => s.epoch < epoch);
+  if (!prior.length) return null;
+  return readSnapshot(prior[prior.length - 1].file);
+}
+
+// changelog.json in `dataDir`: `curr` against `previous` (default: the stored snapshot before it)
+function writeChangelog(dataDir, curr, { previous = previousSnapshot(dataDir, curr.epoch), ...opts } = {}) {
+  if (!previous) return null;
+  const changelog = diffSnapshots(previous, curr, opts);
+  const outPath = path.join(dataDir, "changelog.json");
+  writeJson(outPath, changelog, true);
+  return { outPath, changelog };
+}
+
+module.exports = { DEFAULTS, diffSnapshots, combinedStakes, previousSnapshot, writeChangelog };
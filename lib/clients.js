@@ -0,0 +1,133 @@
+// Validator client identification and client diversity
+//
+// Clients are identified from the gossip version and feature set (getClusterNodes),
+// falling back to the metadata version, against a declarative table
+// (config/clients.json). Versions no entry claims land in an explicit
+// "unrecognized" bucket instead of being guessed, so a new release shows up as
+// such until the table is updated.
+const fs = require("fs");
+const path = require("path");
+const metrics = require("./metrics");
+
+const DEFAULT_TABLE_FILE = path.join(__dirname, "..", "config", "clients.json");
+
+const UNKNOWN = { id: "unknown", name: "Unknown", family: null }; // no version reported
+const UNRECOGNIZED = { id: "unrecognized", name: "Unrecognized", family: null }; // version no entry matches
+
+function validateTable(spec) {
+  const errors = [];
+  const seen = new Set([UNKNOWN.id, UNRECOGNIZED.id]);
+  const checkId = (at, id) => {
+    if (!id) errors.push(`${at}: missing id`);
+    else if (seen.has(id)) errors.push(`${at}: duplicate or reserved id "${id}"`);
+    seen.add(id);
+  };
+  for (const [i, c] of (spec?.clients || []).entries()) {
+    const at = `clients[${i}]${c.id ? ` (${c.id})` : ""}`;
+    checkId(at, c.id);
+    if (!c.name) errors.push(`${at}: missing name`);
+    if (!c.family) errors.push(`${at}: missing family`);
+    if (!Array.isArray(c.versions) || !c.versions.length) errors.push(`${at}: versions must be a non-empty array of patterns`);
+    for (const re of c.versions || []) {
+      try { new RegExp(re); } catch (e) { errors.push(`${at}: bad version pattern "${re}": ${e.message}`); }
+    }
+    if (c.featureSets != null && !(Array.isArray(c.featureSets) && c.featureSets.every(Number.isInteger))) {
+      errors.push(`${at}: featureSets must be an array of integers`);
+    }
+    for (const [j, v] of (c.variants || []).entries()) {
+      checkId(`${at}.variants[${j}]`, v.id);
+      if (!v.name) errors.push(`${at}.variants[${j}]: missing name`);
+      if (!v.when || typeof v.when !== "object") errors.push(`${at}.variants[${j}]: missing when`);
+    }
+  }
+  if (!Array.isArray(spec?.clients)) errors.push("clients must be an array");
+  return errors;
+}
+
+function loadTable(file = DEFAULT_TABLE_FILE) {
+  const spec = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = validateTable(spec);
+  if (errors.length) throw new Error(`Invalid client table in ${file}:\n  ${errors.join("\n  ")}`);
+  return spec;
+}
+
+// Client of one node ({ version, featureSet, isJito, ... }): the first table entry whose
+// version pattern matches (and whose featureSets, when listed, contain the node's),
+// refined by the first variant whose `when` fields all equal the node's.
+// Returns { id, name, family }
+function identifyClient(table, node) {
+  const version = node?.version;
+  if (!version || /^unknown$/i.test(version)) return UNKNOWN;
+  const entry = table.clients.find(c =>
+    c.versions.some(re => new RegExp(re).test(version))
+    && (!c.featureSets || c.featureSets.includes(node.featureSet)));
+  if (!entry) return UNRECOGNIZED;
+  const variant = (entry.variants || []).find(v => Object.entries(v.when).every(([k, want]) => node[k] === want));
+  return { id: variant?.id || entry.id, name: variant?.name || entry.name, family: entry.family };
+}
+
+// { id, name, family } of a client or variant id from `identifyClient`
+function clientById(table, id) {
+  if (id === UNRECOGNIZED.id) return UNRECOGNIZED;
+  for (const c of table.clients) {
+    if (c.id === id) return { id, name: c.name, family: c.family };
+    const variant = (c.variants || []).find(v => v.id === id);
+    if (variant) return { id, name: variant.name, family: c.family };
+  }
+  return UNKNOWN;
+}
+
+// { identity: { version, featureSet } } from getClusterNodes
+function gossipNodes(nodes) {
+  return Object.fromEntries(nodes.map(n => [n.pubkey, { version: n.version ?? null, featureSet: n.featureSet ?? null }]));
+}
+
+// Version and feature set of a validator: gossip first, since it is what the node runs now
+function nodeVersion(gossip, identity, meta = {}) {
+  const g = (identity && gossip[identity]) || {};
+  return { version: g.version || meta.version || null, featureSet: g.featureSet ?? null };
+}
+
+// Client diversity of [{ client: id, version, featureSet, isJito }] weighted by `stakeOf`.
+// The client Nakamoto coefficient counts the client families (independent code bases) that
+// together hold a third of the identified stake; unknown and unrecognized stake is left out.
+function clientDiversity(table, validators, stakeOf = v => v.stake) {
+  const clients = {}, families = {}, unrecognized = {};
+  let total = 0, identified = 0;
+  for (const v of validators) {
+    const stake = stakeOf(v) || 0;
+    if (!(stake > 0)) continue;
+    total += stake;
+    const c = clientById(table, v.client);
+    const row = clients[c.id] || (clients[c.id] = { id: c.id, name: c.name, family: c.family, count: 0, stake: 0, jito: 0, nonJito: 0 });
+    row.count++;
+    row.stake += stake;
+    if (v.isJito) row.jito++; else row.nonJito++;
+    if (c.family) {
+      identified += stake;
+      const f = families[c.family] || (families[c.family] = { name: c.family, count: 0, stake: 0 });
+      f.count++;
+      f.stake += stake;
+    }
+    if (c.id === UNRECOGNIZED.id) {
+      const key = `${v.version}|${v.featureSet ?? ""}`;
+      const u = unrecognized[key] || (unrecognized[key] = { version: v.version, featureSet: v.featureSet ?? null, count: 0, stake: 0 });
+      u.count++;
+      u.stake += stake;
+    }
+  }
+  const list = (obj) => Object.values(obj)
+    .map(x => ({ ...x, pct: (total > 0 ? x.stake / total * 100 : 0).toFixed(2) }))
+    .sort((a, b) => b.stake - a.stake);
+  const familyList = list(families);
+  return {
+    clients: list(clients),
+    families: familyList,
+    clientNakamoto: identified > 0 ? metrics.nakamoto(familyList.map(f => f.stake)) : null,
+    topFamilyPct: identified > 0 ? familyList[0].stake / identified * 100 : null,
+    identifiedPct: total > 0 ? identified / total * 100 : null,
+    unrecognized: list(unrecognized),
+  };
+}
+
+module.exports = { DEFAULT_TABLE_FILE, UNKNOWN, UNRECOGNIZED, validateTable, loadTable, identifyClient, clientById, gossipNodes, nodeVersion, clientDiversity };
@@ -0,0 +1,27 @@
+// One collection run for both datasets: the shared inputs (epoch, vote accounts, gossip,
+// block production, stake history, metadata) are fetched once, while the SFDP stake
+// accounts are fetched alongside them, and both collectors work from the same data
+const { createRpcClient } = require("./rpc");
+const { fetchInputs } = require("./inputs");
+const { collectSfdp } = require("./collect-sfdp");
+const { collectNetwork } = require("./collect-network");
+const { createLogger } = require("./log");
+
+// Writes latest.json (and the rest of the SFDP outputs) and network-latest.json. `previous`
+// and `previousNetwork` go to the SFDP and network collector as their `previous`.
+// Returns { sfdp: { result, written }, network: { result, written } }
+async function collectAll({
+  client = createRpcClient(), outDir, authorities, metadataSources, exportFormats, retention, dryRun,
+  metadataOptions, now, previous, previousNetwork, alerting, log = createLogger(),
+} = {}) {
+  const common = { client, outDir, metadataSources, exportFormats, dryRun, now, log };
+  const inputs = fetchInputs({ client, outDir, metadataSources, metadataOptions, now, log });
+  // Collectors handle a rejected `inputs` themselves; this keeps it from counting as unhandled meanwhile
+  inputs.catch(() => {});
+  const sfdp = await collectSfdp({ ...common, authorities, retention, previous, alerting, inputs });
+  log.info("");
+  const network = await collectNetwork({ ...common, inputs, previous: previousNetwork });
+  return { sfdp, network };
+}
+
+module.exports = { collectAll };
@@ -0,0 +1,263 @@
+// Network collector: every validator on the cluster with stake decentralization data
+const fs = require("fs");
+const path = require("path");
+const metrics = require("./metrics");
+const { lookupCountry, geoBreakdown } = require("./geo");
+const { createRpcClient } = require("./rpc");
+const { metadataSummary, describeStatus } = require("./metadata");
+const { createTimer, formatTimings, fetchInputs, blockProductionMap } = require("./inputs");
+const clients = require("./clients");
+const performance = require("./performance");
+const { SCHEMA_VERSION, readSnapshot, writeJson } = require("./snapshots");
+const { assertValid } = require("./validate");
+const { createLogger } = require("./log");
+const { DEFAULT_FORMATS, networkTables, writeExports } = require("./export");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+// Collects network data and writes network-latest.json plus tabular exports into `outDir`
+// (skipped with `dryRun`). `inputs` (fetchInputs' result or promise) reuses data another
+// collector of the same run already fetched; `metadataOptions` and `now` go to fetchInputs
+// (see lib/fixtures.js for recording and replaying a run). `previous` is the network-latest.json
+// delinquency streaks carry over from (default: the one in `outDir`, null for none).
+// Returns { result, written: [paths] }
+async function collectNetwork({
+  client = createRpcClient(),
+  outDir = DEFAULT_DATA_DIR,
+  metadataSources,
+  clientsFile = process.env.CLIENT_TABLE || clients.DEFAULT_TABLE_FILE,
+  metricsFile,
+  exportFormats = DEFAULT_FORMATS,
+  dryRun = false,
+  inputs,
+  metadataOptions,
+  previous,
+  now = Date.now,
+  log = createLogger(),
+} = {}) {
+  const timer = createTimer(now);
+  const clientTable = clients.loadTable(clientsFile);
+  const thresholds = metrics.loadOptions(metricsFile);
+
+  // Epoch, vote accounts, gossip, block production and validator metadata
+  // (Stakewiz / on-chain / file, with last-known-good cache)
+  const shared = !!inputs;
+  inputs = await (inputs || fetchInputs({ client, outDir, metadataSources, stakeHistory: false, metadataOptions, now, log }));
+  const { epochInfo, voteAccounts: va, meta } = inputs;
+  log.info(`Epoch ${epochInfo.epoch} (${((epochInfo.slotIndex/epochInfo.slotsInEpoch)*100).toFixed(1)}%)`);
+  const current = va.current || [];
+  const delinquent = va.delinquent || [];
+  log.info(`  Current: ${current.length}, Delinquent: ${delinquent.length}`);
+  const gossip = clients.gossipNodes(inputs.clusterNodes);
+  const swMap = meta.validators;
+  for (const line of describeStatus(meta.status)) log.info(`  ${line}`);
+  const bpMap = blockProductionMap(inputs.blockProduction);
+  const votePerf = performance.votePerformance(va, { epoch: epochInfo.epoch, slot: epochInfo.absoluteSlot });
+  timer.lap("inputs");
+
+  // The last network-latest.json carries the delinquency streaks over
+  if (previous === undefined) previous = readPreviousNetwork(outDir, log);
+  const previousStreaks = performance.streakBase(previous, epochInfo.epoch);
+
+  // Build validator list
+  const allVals = [];
+  let totalStake = 0;
+
+  for (const v of [...current, ...delinquent]) {
+    const stake = v.activatedStake / 1e9;
+    totalStake += stake;
+    const m = swMap[v.votePubkey] || {};
+    const identity = m.identity || v.nodePubkey || null;
+    const bpd = bpMap[identity] || {};
+    const node = clients.nodeVersion(gossip, identity, m);
+    const vp = votePerf.byVoter[v.votePubkey] || {};
+    const isDelinquent = delinquent.includes(v);
+
+    allVals.push({
+      voter: v.votePubkey,
+      name: m.name || null,
+      identity,
+      stake,
+      commission: v.commission,
+      delinquent: isDelinquent,
+      delinquentStreak: performance.delinquentStreak(isDelinquent, previousStreaks[v.votePubkey]),
+      version: node.version,
+      featureSet: node.featureSet,
+      client: clients.identifyClient(clientTable, { ...node, isJito: m.isJito || false }).id,
+      country: lookupCountry(m.country)?.name || m.country || null,
+      countryCode: lookupCountry(m.country)?.code || null,
+      city: m.city || null,
+      asn: m.asn || null,
+      asnOrg: m.asnOrg || null,
+      isJito: m.isJito || false,
+      jitoCommission: m.jitoCommissionBps ?? null,
+      skipRate: m.skipRate ?? bpd.skipRate ?? null,
+      leaderSlots: bpd.leaderSlots || null,
+      blocksProduced: bpd.blocksProduced || null,
+      voteCredits: vp.voteCredits ?? null,
+      tvcEffectiveness: vp.tvcEffectiveness ?? null,
+      creditsRank: vp.creditsRank ?? null,
+      voteLatency: vp.voteLatency ?? null,
+      wizScore: m.wizScore ?? null,
+      apy: m.apy ?? null,
+      superminority: m.superminority || false,
+      stakeWeight: m.stakeWeight ?? null,
+      provenance: meta.provenance[v.votePubkey] || {},
+    });
+  }
+
+  allVals.sort((a, b) => b.stake - a.stake);
+  log.info(`Total network stake: ${(totalStake/1e6).toFixed(2)}M SOL across ${allVals.length} validators`);
+
+  // Decentralization metrics
+  const { decentralization, stakeStats, stakeBuckets, lorenzCurve } = metrics.analyze(allVals.map(v => v.stake), thresholds);
+
+  // Geographic
+  const countries = {}, cities = {}, asns = {}, versions = {}, commissions = {};
+  const helpers = { countries, cities, asns, versions, commissions };
+  for (const v of allVals) {
+    const c = v.country || "Unknown";
+    const ci = v.city || "Unknown";
+    const a = v.asnOrg || v.asn || "Unknown";
+    const ver = v.version || "Unknown";
+    const com = v.commission != null ? String(v.commission) : "Unknown";
+
+    for (const [key, field, val] of [["countries",c,c],["cities",ci,ci],["asns",a,a],["versions",ver,ver],["commissions",com,com]]) {
+      if (!helpers[key][val]) helpers[key][val] = { count: 0, stake: 0 };
+      helpers[key][val].count++;
+      helpers[key][val].stake += v.stake;
+    }
+  }
+
+  const sortObj = (obj) => Object.entries(obj)
+    .map(([k, v]) => ({ name: k, ...v, pct: (totalStake > 0 ? v.stake / totalStake * 100 : 0).toFixed(2) }))
+    .sort((a, b) => b.stake - a.stake);
+
+  // Countries (ISO-normalized), continents, regions and datacenter clusters
+  const geo = geoBreakdown(allVals);
+
+  // Client distribution (config/clients.json)
+  const clientStats = clients.clientDiversity(clientTable, allVals);
+
+  // Jito
+  const jitoVals = allVals.filter(v => v.isJito);
+  const jitoStake = jitoVals.reduce((s, v) => s + v.stake, 0);
+
+  // Superminority validators
+  const superminorityVals = metrics.superminoritySet(allVals, v => v.stake, thresholds.superminority).map(v => v.voter);
+
+  // Top 3 ASN
+  const asnSorted = sortObj(asns);
+  const top3ASNStake = asnSorted.slice(0, 3).reduce((s, a) => s + a.stake, 0);
+
+  timer.lap("analysis");
+  const result = {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: new Date(now()).toISOString(),
+    epoch: epochInfo.epoch,
+    slot: epochInfo.absoluteSlot,
+    epochPct: ((epochInfo.slotIndex / epochInfo.slotsInEpoch) * 100).toFixed(2),
+    totalStake,
+    totalValidators: allVals.length,
+    currentValidators: current.length,
+    delinquentValidators: delinquent.length,
+    decentralization,
+    stakeStats,
+    stakeBuckets,
+    lorenzCurve,
+    geographic: {
+      countries: geo.countries,
+      continents: geo.continents,
+      regions: geo.regions,
+      topCities: sortObj(cities).slice(0, 30),
+      topASNs: asnSorted.slice(0, 30),
+      datacenters: geo.datacenters,
+      datacenterCount: geo.datacenterCount,
+      countryCoverage: geo.coverage,
+      unresolvedCountries: geo.unresolved,
+    },
+    infraConcentration: {
+      top3ASNPct: (totalStake > 0 ? top3ASNStake / totalStake * 100 : 0).toFixed(1),
+      uniqueASNs: Object.keys(asns).length,
+      uniqueCountries: Object.keys(countries).length,
+      uniqueCities: Object.keys(cities).length,
+    },
+    software: {
+      versions: sortObj(versions),
+      clients: clientStats.clients,
+      clientFamilies: clientStats.families,
+      clientNakamoto: clientStats.clientNakamoto,
+      topClientFamilyPct: clientStats.topFamilyPct,
+      identifiedClientPct: clientStats.identifiedPct,
+      unrecognizedVersions: clientStats.unrecognized,
+      clientTable: clientTable.version || null,
+    },
+    commissionDistribution: sortObj(commissions).sort((a, b) => parseFloat(a.name) - parseFloat(b.name)),
+    jitoStats: {
+      validators: jitoVals.length,
+      stake: jitoStake,
+      pct: (totalStake > 0 ? jitoStake / totalStake * 100 : 0).toFixed(2),
+    },
+    performance: {
+      epoch: votePerf.epoch,
+      maxCredits: votePerf.maxCredits,
+      medianCredits: votePerf.medianCredits,
+      lowEffectivenessPct: performance.LOW_EFFECTIVENESS_PCT,
+      ...performance.performanceSummary(allVals),
+    },
+    metadata: metadataSummary(meta, allVals.map(v => v.voter)),
+    // What this epoch's streaks continued from, so a rerun within the epoch continues from the same
+    previousStreaks,
+    superminorityVoters: superminorityVals,
+    validators: allVals.map(v => ({
+      ...v,
+      pctOfTotal: (totalStake > 0 ? v.stake / totalStake * 100 : 0).toFixed(4),
+      isSuperminority: superminorityVals.includes(v.voter),
+    })),
+    timings: { sharedInputs: shared, ...timer.summary(), inputs: inputs.timings, rpc: client.stats() },
+  };
+
+  log.info(`Nakamoto: ${decentralization.nakamotoCoeff33}, HHI: ${decentralization.hhi.toFixed(6)}, Gini: ${decentralization.gini.toFixed(4)}`,
+    { epoch: result.epoch, nakamoto: decentralization.nakamotoCoeff33, hhi: decentralization.hhi, gini: decentralization.gini });
+  log.info(`Countries: ${Object.keys(countries).length}, ASNs: ${Object.keys(asns).length}, datacenters: ${geo.datacenterCount}`);
+  if (geo.unresolved.length) log.warn(`Unrecognized countries: ${geo.unresolved.join(", ")}`);
+  log.info(`Clients: ${clientStats.clients.map(c => `${c.name} ${c.pct}%`).join(", ")}; client Nakamoto ${clientStats.clientNakamoto ?? "-"}`);
+  if (clientStats.unrecognized.length) log.warn(`Unrecognized client versions: ${clientStats.unrecognized.map(u => `${u.version} (${u.count})`).join(", ")}`);
+  log.info(`Jito: ${jitoVals.length} (${result.jitoStats.pct}%)`);
+  log.info(`Vote effectiveness (epoch ${votePerf.epoch}): ${result.performance.weightedEffectiveness ?? "-"}% stake-weighted, ${result.performance.lowPerformers} below ${performance.LOW_EFFECTIVENESS_PCT}%`);
+  log.info(`Delinquent: ${result.performance.delinquent}, ${result.performance.repeatDelinquent} for 2+ epochs in a row (longest ${result.performance.longestDelinquentStreak})`);
+  log.info(`Top 3 ASN: ${top3ASNStake.toFixed(0)} SOL (${result.infraConcentration.top3ASNPct}%)`);
+  log.info(`Timings: ${formatTimings(result.timings)}`, { timings: result.timings });
+
+  // A result that breaks the data contract (schemas/) is never written, so the previous files stay
+  assertValid("network-latest.json", result);
+
+  if (dryRun) {
+    log.info("Dry run: nothing written", { dryRun: true });
+    return { result, written: [] };
+  }
+  const outPath = path.join(outDir, "network-latest.json");
+  writeJson(outPath, result, true);
+  log.info(`\nSaved to ${outPath}`);
+  const written = [outPath];
+  if (exportFormats.length) {
+    const files = writeExports(outDir, networkTables(result), exportFormats);
+    written.push(...files);
+    log.info(`Exports: ${files.length} files (${exportFormats.join(", ")}) in ${path.dirname(files[0])}`);
+  }
+  return { result, written };
+}
+
+// network-latest.json in `outDir` as the previous run left it, or null
+function readPreviousNetwork(outDir, log = createLogger()) {
+  const file = path.join(outDir, "network-latest.json");
+  if (!fs.existsSync(file)) return null;
+  try {
+    return readSnapshot(file);
+  } catch (e) {
+    log.warn(`Previous ${file} unreadable, delinquency streaks start over: ${e.message}`);
+    return null;
+  }
+}
+
+module.exports = { collectNetwork, readPreviousNetwork };
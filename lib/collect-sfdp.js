@@ -0,0 +1,567 @@
+// SFDP collector: stake accounts of the foundation authorities with full
+// validator decentralization metrics, compliance, changelog, history and alerts
+const fs = require("fs");
+const path = require("path");
+const metrics = require("./metrics");
+const { createRpcClient } = require("./rpc");
+const { STATES, getStakeAccounts, getStakeHistory, stakeLifecycle } = require("./stake");
+const { ROLES, mergeStakeAccounts, describeStakeAccount, roleSummary, reconcile } = require("./reconcile");
+const { metadataSummary, describeStatus } = require("./metadata");
+const { createTimer, formatTimings, fetchInputs, blockProductionMap, blockProductionSlots } = require("./inputs");
+const { writeHistory } = require("./history");
+const { writeChangelog, previousSnapshot } = require("./changelog");
+const { SCHEMA_VERSION, DEFAULT_RETENTION, writeJson, saveSnapshot } = require("./snapshots");
+const compliance = require("./compliance");
+const economics = require("./economics");
+const performance = require("./performance");
+const clients = require("./clients");
+const { lookupCountry, geoBreakdown } = require("./geo");
+const { runAlerts } = require("./alerts");
+const { assertValid } = require("./validate");
+const { collectRewards, validatorRewards, ledgerOf, missingRewards } = require("./rewards");
+const { DEFAULT_FORMATS, sfdpTables, writeExports } = require("./export");
+const { createLogger } = require("./log");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+const DEFAULT_RULES_FILE = path.join(__dirname, "..", "config", "compliance-rules.json");
+
+const AUTHORITIES = {
+  firep: { authority: "FiRep26iRQbMaKbqhhs5CqXqy7YrHn462LbnQhXzB2ps", label: "SFDP Main (FiRep)" },
+  mpa4: { authority: "mpa4abUkjQoAvPzREkh5Mo75hZhPFQ2FSH6w7dWKuQ5", label: "SFDP Matching/Residual (mpa4)" },
+};
+
+// { key: { byStaker, byWithdrawer } } for every authority, all requests in flight together
+async function fetchAuthorityAccounts(rpc, authorities) {
+  const entries = await Promise.all(Object.entries(authorities).map(async ([key, config]) => {
+    const [byStaker, byWithdrawer] = await Promise.all([
+      getStakeAccounts(rpc, config.authority, "staker"),
+      getStakeAccounts(rpc, config.authority, "withdrawer"),
+    ]);
+    return [key, { byStaker, byWithdrawer }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+// Collects SFDP data and writes latest.json, the epoch snapshots (kept per `retention`),
+// tabular exports, changelog, history and alerts into `outDir` (nothing is written with `dryRun`).
+// `inputs` (fetchInputs' result or promise) reuses data another collector of the same run
+// already fetched; `metadataOptions` and `now` go to fetchInputs. `previous` is the snapshot
+// the rewards ledger and delinquency streaks carry over from (default: the stored snapshot of
+// the latest earlier epoch, null for none), and `alerting: false` skips alerts, e.g. when replaying a fixture bundle (lib/fixtures.js).
+// Returns { result, written: [paths] }
+async function collectSfdp({
+  client = createRpcClient(),
+  outDir = DEFAULT_DATA_DIR,
+  authorities = AUTHORITIES,
+  metadataSources,
+  rulesFile = process.env.COMPLIANCE_RULES || DEFAULT_RULES_FILE,
+  clientsFile = process.env.CLIENT_TABLE || clients.DEFAULT_TABLE_FILE,
+  metricsFile,
+  exportFormats = DEFAULT_FORMATS,
+  retention = DEFAULT_RETENTION,
+  dryRun = false,
+  inputs,
+  metadataOptions,
+  now = Date.now,
+  previous,
+  alerting = true,
+  log = createLogger(),
+} = {}) {
+  const rpc = client.call;
+  const timer = createTimer(now);
+  const rules = compliance.loadRules(rulesFile);
+  const clientTable = clients.loadTable(clientsFile);
+  const thresholds = metrics.loadOptions(metricsFile);
+
+  // Foundation stake accounts (by staker and by withdrawer) are fetched alongside the
+  // shared inputs: epoch, vote accounts, gossip, block production, stake history and
+  // validator metadata (Stakewiz / on-chain / file, with last-known-good cache)
+  log.info("Fetching stake accounts...");
+  const shared = !!inputs;
+  const [fetched, authorityAccounts] = await Promise.all([
+    inputs || fetchInputs({ client, outDir, metadataSources, metadataOptions, now, log }),
+    timer.phase("stakeAccounts", () => fetchAuthorityAccounts(rpc, authorities)),
+  ]);
+  inputs = fetched;
+  // Stake history drives warmup/cooldown-aware effective stake
+  const stakeHistory = inputs.stakeHistory || await timer.phase("stakeHistory", () => getStakeHistory(rpc));
+  timer.lap("fetch");
+  const { epochInfo, voteAccounts, meta } = inputs;
+  log.info(`Epoch ${epochInfo.epoch} (${((epochInfo.slotIndex/epochInfo.slotsInEpoch)*100).toFixed(1)}%)`);
+  log.info(`  ${Object.keys(stakeHistory).length} epochs of stake history`);
+
+  // Vote accounts for commission/performance
+  const voteMap = {};
+  for (const v of [...(voteAccounts.current || []), ...(voteAccounts.delinquent || [])]) {
+    voteMap[v.votePubkey] = {
+      identity: v.nodePubkey,
+      commission: v.commission,
+      activatedStake: v.activatedStake,
+      lastVote: v.lastVote,
+      delinquent: false,
+    };
+  }
+  for (const v of (voteAccounts.delinquent || [])) {
+    if (voteMap[v.votePubkey]) voteMap[v.votePubkey].delinquent = true;
+  }
+
+  // Gossip: the version and feature set each node runs
+  const gossip = clients.gossipNodes(inputs.clusterNodes);
+  const valMap = meta.validators;
+  for (const line of describeStatus(meta.status)) log.info(`  ${line}`);
+  const bpMap = blockProductionMap(inputs.blockProduction);
+  // Vote credits of the last completed epoch for every vote account
+  const votePerf = performance.votePerformance(voteAccounts, { epoch: epochInfo.epoch, slot: epochInfo.absoluteSlot });
+
+  // Analyze the stake accounts of each authority
+  const result = {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: new Date(now()).toISOString(),
+    epoch: epochInfo.epoch,
+    slot: epochInfo.absoluteSlot,
+    epochPct: ((epochInfo.slotIndex / epochInfo.slotsInEpoch) * 100).toFixed(2),
+    networkValidators: (voteAccounts.current || []).length + (voteAccounts.delinquent || []).length,
+    networkStake: Object.values(voteMap).reduce((s, v) => s + (v.activatedStake || 0), 0) / 1e9,
+    // Slots the validators' leaderSlots/blocksProduced were counted over
+    blockProductionSlots: blockProductionSlots(inputs.blockProduction),
+    accounts: {},
+  };
+
+  // The previous epoch's snapshot carries the rewards ledger and delinquency streaks over
+  if (previous === undefined) previous = previousSnapshot(outDir, result.epoch);
+  const streaks = performance.delinquencyStreaks(previous);
+
+  const stakeAccountsByKey = {};
+  for (const [key, config] of Object.entries(authorities)) {
+    log.info(`\nCollecting ${config.label}...`);
+    const { byStaker, byWithdrawer } = authorityAccounts[key];
+    const allAccounts = mergeStakeAccounts(byStaker, byWithdrawer);
+    // Delegation metrics only cover accounts this authority can actually (re)delegate
+    const stakeAccounts = allAccounts.filter(a => a.role !== ROLES.WITHDRAWER);
+    const lifecycles = new Map();
+    for (const acct of allAccounts) {
+      const del = acct.account?.data?.parsed?.info?.stake?.delegation;
+      if (del) lifecycles.set(acct.pubkey, stakeLifecycle(del, epochInfo.epoch, stakeHistory));
+    }
+    const accountList = allAccounts.map(a => {
+      const lc = lifecycles.get(a.pubkey);
+      return { ...describeStakeAccount(a), state: lc ? lc.state : "undelegated", effectiveStake: lc ? lc.active + lc.deactivating : 0 };
+    });
+    stakeAccountsByKey[key] = accountList;
+    log.info(`  ${stakeAccounts.length} stake accounts as staker, ${byWithdrawer.length} as withdrawer (${allAccounts.length} unique)`);
+
+    // Analyze
+    const validators = {};
+    let totalActive = 0, totalActivating = 0, totalDeactivating = 0, totalInactive = 0, totalEmpty = 0;
+    const stakeStates = Object.fromEntries(STATES.map(st => [st, { accounts: 0, stake: 0 }]));
+
+    for (const acct of stakeAccounts) {
+      const lc = lifecycles.get(acct.pubkey);
+      if (!lc) { totalEmpty++; continue; }
+      const voter = acct.account.data.parsed.info.stake.delegation.voter;
+      totalActive += lc.active;
+      totalActivating += lc.activating;
+      totalDeactivating += lc.deactivating;
+      totalInactive += lc.inactive;
+      stakeStates[lc.state].accounts++;
+      stakeStates[lc.state].stake += lc.state === "active" ? lc.active : lc.state === "inactive" ? lc.inactive : lc.activating + lc.deactivating;
+
+      if (!validators[voter]) validators[voter] = { voter, activeStake: 0, activatingStake: 0, deactivatingStake: 0, inactiveStake: 0, accounts: 0 };
+      const v = validators[voter];
+      v.accounts++;
+      v.activeStake += lc.active;
+      v.activatingStake += lc.activating;
+      v.deactivatingStake += lc.deactivating;
+      v.inactiveStake += lc.inactive;
+    }
+
+    const sorted = Object.values(validators).sort((a, b) => b.activeStake - a.activeStake);
+    const activeVals = sorted.filter(v => v.activeStake > 0);
+
+    // Enrich with metadata
+    const enriched = sorted.map(v => {
+      const sw = valMap[v.voter] || {};
+      const va = voteMap[v.voter] || {};
+      const bpd = bpMap[sw.identity] || {};
+      const node = clients.nodeVersion(gossip, sw.identity || va.identity, sw);
+      const vp = votePerf.byVoter[v.voter] || {};
+      const delinquent = va.delinquent || sw.delinquent || false;
+      return {
+        ...v,
+        name: sw.name || null,
+        commission: va.commission ?? sw.commission ?? null,
+        totalNetworkStake: (va.activatedStake || 0) / 1e9,
+        version: node.version,
+        featureSet: node.featureSet,
+        client: clients.identifyClient(clientTable, { ...node, isJito: sw.isJito || false }).id,
+        delinquent,
+        delinquentStreak: performance.delinquentStreak(delinquent, streaks[v.voter]),
+        voteCredits: vp.voteCredits ?? null,
+        creditHistory: vp.creditHistory || [],
+        tvcEffectiveness: vp.tvcEffectiveness ?? null,
+        creditsRank: vp.creditsRank ?? null,
+        voteLatency: vp.voteLatency ?? null,
+        skipRate: sw.skipRate ?? bpd.skipRate ?? null,
+        leaderSlots: bpd.leaderSlots || null,
+        blocksProduced: bpd.blocksProduced || null,
+        country: lookupCountry(sw.country)?.name || sw.country || null,
+        countryCode: lookupCountry(sw.country)?.code || null,
+        city: sw.city || null,
+        asn: sw.asn || null,
+        asnOrg: sw.asnOrg || null,
+        isJito: sw.isJito || false,
+        jitoCommission: sw.jitoCommissionBps ?? null,
+        wizScore: sw.wizScore ?? null,
+        apy: sw.apy ?? null,
+        superminority: sw.superminority || false,
+        asnConcentration: sw.asnConcentration ?? null,
+        cityConcentration: sw.cityConcentration ?? null,
+        provenance: meta.provenance[v.voter] || {},
+        pctOfPool: totalActive > 0 ? (v.activeStake / totalActive * 100) : 0,
+      };
+    });
+
+    // Decentralization metrics
+    const { decentralization, stakeStats, stakeBuckets, lorenzCurve } = metrics.analyze(activeVals.map(v => v.activeStake), thresholds);
+
+    // Geographic concentration
+    const cities = {}, asns = {}, versions = {}, commissions = {};
+    for (const v of enriched) {
+      if (v.activeStake <= 0) continue;
+      const ci = v.city || "Unknown";
+      const a = v.asnOrg || v.asn || "Unknown";
+      const ver = v.version || "Unknown";
+      const com = v.commission != null ? v.commission : "Unknown";
+
+      if (!cities[ci]) cities[ci] = { count: 0, stake: 0 };
+      cities[ci].count++; cities[ci].stake += v.activeStake;
+
+      if (!asns[a]) asns[a] = { count: 0, stake: 0 };
+      asns[a].count++; asns[a].stake += v.activeStake;
+
+      if (!versions[ver]) versions[ver] = { count: 0, stake: 0 };
+      versions[ver].count++; versions[ver].stake += v.activeStake;
+
+      if (!commissions[com]) commissions[com] = { count: 0, stake: 0 };
+      commissions[com].count++; commissions[com].stake += v.activeStake;
+    }
+
+    const sortObj = (obj) => Object.entries(obj)
+      .map(([k, v]) => ({ name: k, ...v, pct: (totalActive > 0 ? v.stake / totalActive * 100 : 0).toFixed(2) }))
+      .sort((a, b) => b.stake - a.stake);
+
+    const geo = geoBreakdown(enriched, v => v.activeStake);
+    const clientStats = clients.clientDiversity(clientTable, enriched, v => v.activeStake);
+
+    // Jito stats
+    const jitoVals = enriched.filter(v => v.isJito && v.activeStake > 0);
+    const jitoStake = jitoVals.reduce((s, v) => s + v.activeStake, 0);
+
+    result.accounts[key] = {
+      ...config,
+      totalAccounts: stakeAccounts.length,
+      emptyAccounts: totalEmpty,
+      totalActive,
+      totalActivating,
+      totalDeactivating,
+      totalInactive,
+      stakeStates,
+      activeValidators: activeVals.length,
+      decentralization,
+      stakeStats,
+      stakeBuckets,
+      lorenzCurve,
+      geographic: {
+        countries: geo.countries,
+        continents: geo.continents,
+        regions: geo.regions,
+        topCities: sortObj(cities).slice(0, 20),
+        topASNs: sortObj(asns).slice(0, 20),
+        datacenters: geo.datacenters,
+        datacenterCount: geo.datacenterCount,
+        countryCoverage: geo.coverage,
+        unresolvedCountries: geo.unresolved,
+      },
+      software: {
+        versions: sortObj(versions),
+        clients: clientStats.clients,
+        clientFamilies: clientStats.families,
+        clientNakamoto: clientStats.clientNakamoto,
+        topClientFamilyPct: clientStats.topFamilyPct,
+        unrecognizedVersions: clientStats.unrecognized,
+      },
+      commissionDistribution: sortObj(commissions),
+      jitoStats: {
+        validators: jitoVals.length,
+        stake: jitoStake,
+        pct: (totalActive > 0 ? jitoStake / totalActive * 100 : 0).toFixed(2),
+      },
+      delinquentCount: enriched.filter(v => v.delinquent && v.activeStake > 0).length,
+      performance: performance.performanceSummary(enriched, v => v.activeStake),
+      authorityRoles: roleSummary(accountList),
+      validators: enriched,
+      stakeAccounts: accountList,
+    };
+
+    log.info(`  Active: ${totalActive.toFixed(0)} SOL, ${activeVals.length} validators`);
+    log.info(`  Pending: ${totalActivating.toFixed(0)} SOL activating, ${totalDeactivating.toFixed(0)} SOL deactivating, ${totalInactive.toFixed(0)} SOL inactive`);
+    log.info(`  Nakamoto: ${decentralization.nakamotoCoeff33}, HHI: ${decentralization.hhi.toFixed(6)}, Gini: ${decentralization.gini.toFixed(4)}`);
+    log.info(`  Countries: ${geo.countries.filter(c => c.code).length}, ASNs: ${Object.keys(asns).length}, datacenters: ${geo.datacenterCount}`);
+    if (geo.unresolved.length) log.warn(`  Unrecognized countries: ${geo.unresolved.join(", ")}`);
+    log.info(`  Clients: ${clientStats.clients.map(c => `${c.name} ${c.pct}%`).join(", ")}; client Nakamoto ${clientStats.clientNakamoto ?? "-"}`);
+    log.info(`  Jito: ${jitoVals.length} validators (${result.accounts[key].jitoStats.pct}%)`);
+    const perf = result.accounts[key].performance;
+    log.info(`  Vote effectiveness: ${perf.weightedEffectiveness ?? "-"}% stake-weighted, ${perf.lowPerformers} below ${performance.LOW_EFFECTIVENESS_PCT}% (${perf.lowPerformerStakePct ?? "-"}% of stake)`);
+  }
+
+  // Realized rewards for the last completed epoch; the running ledger carries over from the previous snapshot.
+  // Rewards are reporting only, so an RPC that can't serve them doesn't fail the run.
+  timer.lap("authorities");
+  log.info("\nFetching inflation rewards...");
+  try {
+    result.rewards = await collectRewards(rpc, {
+      stakeAccountsByKey,
+      currentEpoch: epochInfo.epoch,
+      slotsInEpoch: epochInfo.slotsInEpoch,
+      ledger: ledgerOf(previous),
+      estimates: Object.fromEntries(Object.entries(valMap).map(([voter, m]) => [voter, m.apy ?? null])),
+      names: Object.fromEntries(Object.entries(valMap).map(([voter, m]) => [voter, m.name || null])),
+    });
+    for (const [key, data] of Object.entries(result.accounts)) {
+      const byVoter = validatorRewards(data.stakeAccounts, result.rewards.epochsPerYear);
+      for (const v of data.validators) {
+        v.rewards = byVoter[v.voter]?.rewards ?? null;
+        v.realizedApy = byVoter[v.voter]?.apy ?? null;
+      }
+    }
+    const rw = result.rewards;
+    log.info(`  Epoch ${rw.epoch}: ${rw.combined.rewards.toFixed(0)} SOL on ${rw.combined.accounts} accounts, realized APY ${rw.combined.apy ?? "-"}%`);
+    log.info(`  Cumulative since epoch ${rw.cumulative.fromEpoch}: ${rw.cumulative.total.toFixed(0)} SOL`);
+  } catch (e) {
+    result.rewards = null;
+    result.rewardsMissing = missingRewards(previous, epochInfo.epoch - 1, e.message);
+    log.warn(`  Rewards unavailable: ${e.message}; ledger carried over, epoch ${epochInfo.epoch - 1} left to backfill`);
+  }
+
+  timer.lap("rewards");
+
+  // Combined
+  const allVals = {};
+  for (const [key, data] of Object.entries(result.accounts)) {
+    for (const v of data.validators) {
+      if (!allVals[v.voter]) allVals[v.voter] = { voter: v.voter, totalStake: 0, sources: {}, name: v.name, country: v.country, asn: v.asnOrg, commission: v.commission, version: v.version, client: v.client, isJito: v.isJito };
+      allVals[v.voter].totalStake += v.activeStake;
+      allVals[v.voter].sources[key] = v.activeStake;
+    }
+  }
+  const combinedTotal = Object.values(allVals).reduce((s, v) => s + v.totalStake, 0);
+  const combinedSorted = Object.values(allVals).sort((a, b) => b.totalStake - a.totalStake);
+  const combinedMetrics = metrics.analyze(combinedSorted.map(v => v.totalStake), thresholds);
+
+  // Infrastructure concentration (ASN-level)
+  const combinedASNs = {};
+  for (const v of combinedSorted) {
+    const a = v.asn || 'Unknown';
+    if (!combinedASNs[a]) combinedASNs[a] = { name: a, count: 0, stake: 0 };
+    combinedASNs[a].count++;
+    combinedASNs[a].stake += v.totalStake;
+  }
+  const asnSorted = Object.values(combinedASNs).sort((a, b) => b.stake - a.stake);
+  // Top 3 ASN concentration
+  const top3ASNStake = asnSorted.slice(0, 3).reduce((s, a) => s + a.stake, 0);
+
+  // Same geo breakdown over the combined SFDP stake
+  const combinedGeo = geoBreakdown(compliance.complianceInputs(result.accounts), v => v.sfdpStake);
+
+  // Client diversity of the combined SFDP stake next to the whole network's, so the
+  // snapshot (and the trend built from snapshots) carries both
+  const networkClients = Object.entries(voteMap).map(([voter, va]) => {
+    const m = valMap[voter] || {};
+    const node = clients.nodeVersion(gossip, m.identity || va.identity, m);
+    return { ...node, isJito: m.isJito || false, stake: (va.activatedStake || 0) / 1e9, client: clients.identifyClient(clientTable, { ...node, isJito: m.isJito || false }).id };
+  });
+  const sfdpClients = clients.clientDiversity(clientTable, compliance.complianceInputs(result.accounts), v => v.sfdpStake);
+  const netClients = clients.clientDiversity(clientTable, networkClients);
+  log.info(`\nClients: SFDP ${sfdpClients.families.map(f => `${f.name} ${f.pct}%`).join(", ")} (client Nakamoto ${sfdpClients.clientNakamoto ?? "-"}), network ${netClients.families.map(f => `${f.name} ${f.pct}%`).join(", ")} (client Nakamoto ${netClients.clientNakamoto ?? "-"})`);
+  if (netClients.unrecognized.length) log.warn(`  Unrecognized client versions: ${netClients.unrecognized.map(u => `${u.version} (${u.count})`).join(", ")}`);
+
+  // Vote performance of the SFDP validators (by combined SFDP stake) and of the whole network
+  const sfdpStreaks = performance.delinquencyStreaks(result);
+  const perfRow = (voter, stake, delinquentStreak) => ({ ...votePerf.byVoter[voter], delinquent: voteMap[voter]?.delinquent || false, delinquentStreak, stake });
+  const combinedPerformance = {
+    epoch: votePerf.epoch,
+    maxCredits: votePerf.maxCredits,
+    medianCredits: votePerf.medianCredits,
+    lowEffectivenessPct: performance.LOW_EFFECTIVENESS_PCT,
+    sfdp: performance.performanceSummary(Object.values(allVals).map(v => perfRow(v.voter, v.totalStake, sfdpStreaks[v.voter]))),
+    network: performance.performanceSummary(Object.entries(voteMap).map(([voter, va]) => perfRow(voter, (va.activatedStake || 0) / 1e9))),
+  };
+  log.info(`\nVote effectiveness (epoch ${votePerf.epoch}): SFDP ${combinedPerformance.sfdp.weightedEffectiveness ?? "-"}%, network ${combinedPerformance.network.weightedEffectiveness ?? "-"}% stake-weighted`);
+
+  // Eligibility/compliance rules (config/compliance-rules.json)
+  result.compliance = compliance.evaluate(compliance.complianceInputs(result.accounts), rules);
+  const cs = result.compliance.summary;
+  log.info(`\nCompliance (${rules.name || path.basename(rulesFile)}): ${cs.pass} pass, ${cs.warn} warn, ${cs.fail} fail`);
+
+  // Commission flags kept in the old shape for history/trends, now driven by the rules
+  const failing = (ruleId) => result.compliance.validators.filter(v => v.results.some(r => r.rule === ruleId && r.status === "fail"));
+  const highCommission = failing("commission").map(v => ({ voter: v.voter, name: v.name, commission: allVals[v.voter].commission, stake: v.sfdpStake }));
+  const jitoOverCap = failing("jitoCommission").map(v => ({
+    voter: v.voter, name: v.name, jitoCommission: v.results.find(r => r.rule === "jitoCommission").value, stake: v.sfdpStake,
+  }));
+
+  // Foundation stake as % of network
+  let totalNetworkStake = 0;
+  const seenVoters = new Set();
+  for (const [key, data] of Object.entries(result.accounts)) {
+    for (const v of data.validators) {
+      if (!seenVoters.has(v.voter) && v.totalNetworkStake > 0) {
+        totalNetworkStake += v.totalNetworkStake;
+        seenVoters.add(v.voter);
+      }
+    }
+  }
+
+  // Lifecycle breakdown across both authorities
+  const combinedStates = Object.fromEntries(STATES.map(st => [st, {
+    accounts: Object.values(result.accounts).reduce((n, a) => n + a.stakeStates[st].accounts, 0),
+    stake: Object.values(result.accounts).reduce((n, a) => n + a.stakeStates[st].stake, 0),
+  }]));
+
+  result.metadata = metadataSummary(meta, Object.keys(allVals));
+
+  // Staker vs withdrawer reconciliation across both authorities
+  result.reconciliation = reconcile(stakeAccountsByKey, authorities, voter => valMap[voter]?.name || null);
+  const rs = result.reconciliation.summary;
+  log.info(`\nReconciliation: ${rs.accounts} accounts, ${rs.stakeOnly} stake-only (${rs.stakeOnlySOL.toFixed(0)} SOL), ${rs.withdrawOnly} withdraw-only (${rs.withdrawOnlySOL.toFixed(0)} SOL)`);
+
+  // Validator economics: break-even model at the default assumptions (index.html re-runs it with edited ones)
+  const medianStake = (result.accounts.mpa4 || combinedMetrics).stakeStats.median;
+  const realizedApy = result.rewards?.combined.apy ?? null;
+  const econ = economics.evaluate(compliance.complianceInputs(result.accounts), economics.assumptionsFromData(result));
+  const es = econ.summary;
+  log.info(`\nEconomics: break-even ${es.breakEvenStake != null ? es.breakEvenStake.toFixed(0) : "-"} SOL at ${es.medianCommission ?? "-"}% commission, ${es.independent} independent, ${es.dependent} SFDP-dependent, ${es.unprofitable} unprofitable, ${es.unknown} unknown commission`);
+
+  result.combined = {
+    totalActiveStake: combinedTotal,
+    uniqueValidators: combinedSorted.length,
+    nakamotoCoeff33: combinedMetrics.decentralization.nakamotoCoeff33,
+    stakeStates: combinedStates,
+    decentralization: combinedMetrics.decentralization,
+    stakeStats: combinedMetrics.stakeStats,
+    lorenzCurve: combinedMetrics.lorenzCurve,
+    topValidators: combinedSorted.slice(0, 50).map(v => ({
+      ...v, pctOfTotal: (combinedTotal > 0 ? v.totalStake / combinedTotal * 100 : 0).toFixed(2),
+    })),
+    geographic: {
+      countries: combinedGeo.countries,
+      continents: combinedGeo.continents,
+      regions: combinedGeo.regions,
+      datacenters: combinedGeo.datacenters,
+      datacenterCount: combinedGeo.datacenterCount,
+      countryCoverage: combinedGeo.coverage,
+      unresolvedCountries: combinedGeo.unresolved,
+    },
+    clientDiversity: {
+      table: clientTable.version || null,
+      sfdp: sfdpClients,
+      network: netClients,
+    },
+    performance: combinedPerformance,
+    infraConcentration: {
+      topASNs: asnSorted.slice(0, 15).map(a => ({
+        ...a, pct: (combinedTotal > 0 ? a.stake / combinedTotal * 100 : 0).toFixed(2),
+      })),
+      top3ASNPct: (combinedTotal > 0 ? top3ASNStake / combinedTotal * 100 : 0).toFixed(1),
+      uniqueASNs: asnSorted.length,
+    },
+    commissionCompliance: {
+      highCommissionCount: highCommission.length,
+      highCommission,
+      jitoOverCapCount: jitoOverCap.length,
+      jitoOverCap,
+    },
+    foundationVsNetwork: {
+      sfdpStake: combinedTotal,
+      trackedNetworkStake: totalNetworkStake,
+      sfdpPctOfTracked: totalNetworkStake > 0 ? (combinedTotal / totalNetworkStake * 100).toFixed(1) : null,
+    },
+    validatorEconomics: {
+      medianStakeSOL: medianStake,
+      realizedApy,
+      assumptions: econ.assumptions,
+      fixedCostsSOL: econ.fixedCosts.total,
+      breakEvenStakeSOL: es.breakEvenStake,
+      medianProfitSOL: es.medianProfit,
+      independent: es.independent,
+      sfdpDependent: es.dependent,
+      unprofitable: es.unprofitable,
+      unknownCommission: es.unknown,
+      validatorsInProgram: combinedSorted.filter(v => v.totalStake > 0).length,
+    },
+  };
+
+  const c = result.combined;
+  log.info(`\nCombined: ${c.totalActiveStake.toFixed(0)} SOL across ${c.uniqueValidators} validators, Nakamoto ${c.nakamotoCoeff33}`,
+    { epoch: result.epoch, totalActiveStake: c.totalActiveStake, uniqueValidators: c.uniqueValidators, nakamoto: c.nakamotoCoeff33 });
+
+  timer.lap("combined");
+  result.timings = { sharedInputs: shared, ...timer.summary(), inputs: inputs.timings, rpc: client.stats() };
+  log.info(`Timings: ${formatTimings(result.timings)}`, { timings: result.timings });
+
+  // A result that breaks the data contract (schemas/) is never written, so the previous files stay
+  assertValid("latest.json", result);
+
+  if (dryRun) {
+    if (!alerting) {
+      log.info("Dry run: nothing written", { dryRun: true });
+      return { result, written: [] };
+    }
+    const { alerts, fresh } = await runAlerts(outDir, result, { dryRun: true });
+    log.info(`Dry run: nothing written (${alerts.length} active alerts, ${fresh.length} would be sent)`, { dryRun: true, alerts: alerts.length, fresh: fresh.length });
+    return { result, written: [] };
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+
+  // Diff against the previous epoch's snapshot before this run's snapshot is written
+  const diff = writeChangelog(outDir, result, { previous });
+  if (diff) {
+    const s = diff.changelog.summary;
+    written.push(diff.outPath);
+    log.info(`\nChangelog vs epoch ${diff.changelog.fromEpoch}: +${s.added} / -${s.removed} validators, ${s.increased} increased, ${s.decreased} decreased`, { changelog: s });
+  }
+
+  const latestPath = path.join(outDir, "latest.json");
+  writeJson(latestPath, result, true);
+  const snapshots = saveSnapshot(outDir, result, { retention });
+  written.push(latestPath, ...snapshots.written);
+  log.info(`\nSaved to ${latestPath} and ${snapshots.written.map(f => path.relative(outDir, f)).join(", ")}`);
+  if (snapshots.removed.length) log.info(`Retention: removed ${snapshots.removed.length} old snapshots`, { removed: snapshots.removed });
+
+  if (exportFormats.length) {
+    const files = writeExports(outDir, sfdpTables(result), exportFormats);
+    written.push(...files);
+    log.info(`Exports: ${files.length} files (${exportFormats.join(", ")}) in ${path.dirname(files[0])}`);
+  }
+
+  const { outPath, history } = writeHistory(outDir, { log });
+  written.push(outPath, path.join(outDir, "validator-history.json"));
+  log.info(`History: ${history.epochs.length} epochs saved to ${outPath}`);
+
+  if (!alerting) return { result, written };
+
+  // Alerting must never fail the collection run
+  try {
+    const { alerts, fresh, deliveries } = await runAlerts(outDir, result);
+    log.info(`Alerts: ${alerts.length} active, ${fresh.length} new`, { alerts: alerts.length, fresh: fresh.length });
+    for (const d of deliveries) (d.ok ? log.info : log.warn)(`  ${d.sink}: ${d.ok ? `sent ${d.sent}` : `FAILED (${d.error})`}`, d);
+  } catch (e) {
+    log.error(`Alerts failed: ${e.message}`);
+  }
+
+  return { result, written };
+}
+
+module.exports = { AUTHORITIES, collectSfdp };
@@ -0,0 +1,152 @@
+// SFDP eligibility/compliance rules engine
+//
+// Rules are declarative (config/compliance-rules.json) and evaluated per
+// validator to pass / warn / fail, with the reason and the offending value.
+// UMD so index.html can re-run the same rules with edited thresholds.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SFDPCompliance = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const STATUS_ORDER = ["skip", "pass", "warn", "fail"];
+  const worse = (a, b) => (STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a);
+
+  // "3.0.14" -> [3, 0, 14]; null when there is no numeric version
+  function parseVersion(v) {
+    const m = String(v ?? "").match(/^v?(\d+(?:\.\d+)*)/);
+    return m ? m[1].split(".").map(Number) : null;
+  }
+
+  function compareVersions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const d = (a[i] || 0) - (b[i] || 0);
+      if (d) return d;
+    }
+    return 0;
+  }
+
+  // Threshold for a version: either a string or [{ match: regex, version }], first match wins
+  function versionThreshold(spec, version) {
+    if (spec == null || typeof spec === "string") return spec ?? null;
+    const hit = spec.find(t => new RegExp(t.match).test(version));
+    return hit ? hit.version : null;
+  }
+
+  const fmtValue = (v, unit) => (typeof v === "number" ? +v.toFixed(2) : v) + (unit ? (unit === "%" ? "%" : ` ${unit}`) : "");
+
+  // Each checker returns { status, threshold } for a present value
+  const CHECKS = {
+    max(rule, value) {
+      if (rule.fail != null && value > rule.fail) return { status: "fail", threshold: rule.fail, op: ">" };
+      if (rule.warn != null && value > rule.warn) return { status: "warn", threshold: rule.warn, op: ">" };
+      return { status: "pass" };
+    },
+    min(rule, value) {
+      if (rule.fail != null && value < rule.fail) return { status: "fail", threshold: rule.fail, op: "<" };
+      if (rule.warn != null && value < rule.warn) return { status: "warn", threshold: rule.warn, op: "<" };
+      return { status: "pass" };
+    },
+    minVersion(rule, value) {
+      const v = parseVersion(value);
+      if (!v) return { status: "skip" };
+      for (const status of ["fail", "warn"]) {
+        const min = versionThreshold(rule[status], String(value));
+        if (min && compareVersions(v, parseVersion(min)) < 0) return { status, threshold: min, op: "<" };
+      }
+      return { status: "pass" };
+    },
+    flag(rule, value) {
+      return value === true ? { status: rule.level || "fail", threshold: true, op: "=" } : { status: "pass" };
+    },
+  };
+
+  function validateRules(spec) {
+    const errors = [];
+    const seen = new Set();
+    for (const [i, r] of (spec?.rules || []).entries()) {
+      const at = `rules[${i}]${r.id ? ` (${r.id})` : ""}`;
+      if (!r.id) errors.push(`${at}: missing id`);
+      else if (seen.has(r.id)) errors.push(`${at}: duplicate id`);
+      seen.add(r.id);
+      if (!CHECKS[r.type]) errors.push(`${at}: unknown type "${r.type}" (expected one of: ${Object.keys(CHECKS).join(", ")})`);
+      if (!r.field) errors.push(`${at}: missing field`);
+      if ((r.type === "max" || r.type === "min") && r.warn == null && r.fail == null) errors.push(`${at}: needs warn and/or fail`);
+      if (r.type === "flag" && r.level && !["warn", "fail"].includes(r.level)) errors.push(`${at}: level must be warn or fail`);
+    }
+    if (!Array.isArray(spec?.rules)) errors.push("rules must be an array");
+    return errors;
+  }
+
+  // One rule against one validator: { rule, status, value, threshold, reason }
+  function evaluateRule(rule, v) {
+    if (rule.when && Object.entries(rule.when).some(([k, want]) => v[k] !== want)) {
+      return { rule: rule.id, status: "skip", value: null, threshold: null, reason: "not applicable" };
+    }
+    const value = v[rule.field];
+    if (value == null) return { rule: rule.id, status: "skip", value: null, threshold: null, reason: `no ${rule.field} data` };
+    const { status, threshold = null, op } = CHECKS[rule.type](rule, value);
+    const reason = status === "pass" || status === "skip" ? null
+      : rule.type === "flag" ? `${rule.description || rule.field}`
+      : `${rule.description || rule.field}: ${fmtValue(value, rule.unit)} ${op} ${fmtValue(threshold, rule.unit)}`;
+    return { rule: rule.id, status, value, threshold, reason };
+  }
+
+  // All rules against one validator; overall status is the worst result
+  function evaluateValidator(v, rules) {
+    const results = rules.map(r => evaluateRule(r, v));
+    const status = results.reduce((s, r) => worse(s, r.status), "pass");
+    return { status, results };
+  }
+
+  // One record per SFDP validator with the fields the rules refer to, merged across authorities
+  function complianceInputs(accounts) {
+    const out = {};
+    for (const a of Object.values(accounts || {})) {
+      for (const v of a.validators || []) {
+        if (!(v.activeStake > 0)) continue;
+        if (!out[v.voter]) out[v.voter] = { ...v, sfdpStake: 0, totalNetworkStake: 0 };
+        out[v.voter].sfdpStake += v.activeStake;
+        out[v.voter].totalNetworkStake = Math.max(out[v.voter].totalNetworkStake, v.totalNetworkStake || 0);
+      }
+    }
+    return Object.values(out).map(v => ({
+      ...v,
+      sfdpDependencyPct: v.totalNetworkStake > 0 ? v.sfdpStake / v.totalNetworkStake * 100 : null,
+    }));
+  }
+
+  // Evaluates every validator. Only non-passing results are kept per validator.
+  function evaluate(inputs, spec) {
+    const rules = spec.rules;
+    const byRule = Object.fromEntries(rules.map(r => [r.id, { pass: 0, warn: 0, fail: 0, skip: 0 }]));
+    const summary = { validators: inputs.length, pass: 0, warn: 0, fail: 0, failStake: 0, warnStake: 0, byRule };
+    const validators = [];
+    for (const v of inputs) {
+      const { status, results } = evaluateValidator(v, rules);
+      for (const r of results) byRule[r.rule][r.status]++;
+      summary[status]++;
+      if (status === "fail") summary.failStake += v.sfdpStake;
+      if (status === "warn") summary.warnStake += v.sfdpStake;
+      validators.push({
+        voter: v.voter, name: v.name || null, sfdpStake: v.sfdpStake, status,
+        results: results.filter(r => r.status === "warn" || r.status === "fail"),
+      });
+    }
+    validators.sort((a, b) => STATUS_ORDER.indexOf(b.status) - STATUS_ORDER.indexOf(a.status) || b.sfdpStake - a.sfdpStake);
+    return {
+      rules: { name: spec.name || null, version: spec.version || null, rules },
+      summary,
+      validators,
+    };
+  }
+
+  // Reads and checks a rules file (Node only)
+  function loadRules(file) {
+    const fs = require("fs");
+    const spec = JSON.parse(fs.readFileSync(file, "utf8"));
+    const errors = validateRules(spec);
+    if (errors.length) throw new Error(`Invalid compliance rules in ${file}:\n  ${errors.join("\n  ")}`);
+    return spec;
+  }
+
+  return { STATUS_ORDER, CHECKS, parseVersion, compareVersions, validateRules, evaluateRule, evaluateValidator, complianceInputs, evaluate, loadRules };
+});
@@ -0,0 +1,164 @@
+// Validator break-even economics
+//
+// Estimates a validator's annual revenue (inflation commission on its whole
+// network stake, block rewards on the blocks it produces, Jito tip commission) against
+// its costs (vote transaction fees, server) and how much of the profit rides on
+// SFDP stake. UMD so index.html can re-run the model with edited assumptions.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SFDPEconomics = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const LAMPORTS_PER_SOL = 1e9;
+  const SECONDS_PER_YEAR = 365.25 * 86400;
+
+  // All amounts in SOL unless the name says otherwise
+  const DEFAULT_ASSUMPTIONS = {
+    networkStakeSol: 400e6, // total active stake; leader slots are assigned pro rata to it
+    stakingYieldPct: 7, // gross inflation yield on stake, before commission
+    slotSeconds: 0.4,
+    votesPerSlot: 1,
+    voteFeeLamports: 5000, // signature fee per vote transaction
+    blockRewardSol: 0.02, // fees kept by the leader per produced block
+    mevPerBlockSol: 0.02, // Jito tips per produced block
+    jitoFeePct: 3, // taken by Jito before the validator's commission
+    skipRatePct: 2, // used when a validator has no block production yet
+    observedSlots: null, // slots the snapshot's blocksProduced were counted over
+    serverCostUsdMonth: 1000,
+    solPriceUsd: 150,
+  };
+
+  const ASSUMPTIONS = [
+    { id: "networkStakeSol", label: "Network stake", unit: "SOL" },
+    { id: "stakingYieldPct", label: "Gross staking yield", unit: "%" },
+    { id: "votesPerSlot", label: "Votes per slot" },
+    { id: "voteFeeLamports", label: "Vote fee", unit: "lamports" },
+    { id: "blockRewardSol", label: "Fees per block", unit: "SOL" },
+    { id: "mevPerBlockSol", label: "Jito tips per block", unit: "SOL" },
+    { id: "jitoFeePct", label: "Jito fee", unit: "%" },
+    { id: "skipRatePct", label: "Default skip rate", unit: "%" },
+    { id: "serverCostUsdMonth", label: "Server cost", unit: "USD/mo" },
+    { id: "solPriceUsd", label: "SOL price", unit: "USD" },
+  ];
+
+  const median = (xs) => {
+    const s = xs.filter(x => x != null && isFinite(x)).sort((a, b) => a - b);
+    if (!s.length) return null;
+    const m = Math.floor(s.length / 2);
+    return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+  };
+
+  const slotsPerYear = (a) => SECONDS_PER_YEAR / a.slotSeconds;
+
+  // Stake-independent costs per year
+  function fixedCosts(a) {
+    const votes = slotsPerYear(a) * a.votesPerSlot * a.voteFeeLamports / LAMPORTS_PER_SOL;
+    const server = a.solPriceUsd > 0 ? a.serverCostUsdMonth * 12 / a.solPriceUsd : 0;
+    return { votes, server, total: votes + server };
+  }
+
+  // Blocks produced per SOL of network stake per year. The blocks a validator actually
+  // produced, annualized, when it had leader slots in the observed range; otherwise the
+  // pro-rata leader schedule less the skip rate.
+  function blockRate(v, a) {
+    if (v.leaderSlots > 0 && a.observedSlots > 0 && v.totalNetworkStake > 0) {
+      return { blocksPerSol: (v.blocksProduced || 0) * slotsPerYear(a) / a.observedSlots / v.totalNetworkStake, blocksSource: "observed" };
+    }
+    const skip = (v.skipRate ?? a.skipRatePct) / 100;
+    return { blocksPerSol: a.networkStakeSol > 0 ? slotsPerYear(a) / a.networkStakeSol * (1 - skip) : 0, blocksSource: "estimated" };
+  }
+
+  // Revenue per SOL of network stake per year, split by source. Revenue is linear in
+  // stake: inflation through commission, blocks through blockRate. Inflation and the
+  // total are null when the commission is unknown.
+  function revenueRate(v, a) {
+    const { blocksPerSol, blocksSource } = blockRate(v, a);
+    const jitoShare = v.isJito && v.jitoCommission != null ? (1 - a.jitoFeePct / 100) * v.jitoCommission / 10000 : 0;
+    const inflation = v.commission != null ? a.stakingYieldPct / 100 * v.commission / 100 : null;
+    const blocks = blocksPerSol * a.blockRewardSol;
+    const mev = blocksPerSol * a.mevPerBlockSol * jitoShare;
+    return { inflation, blocks, mev, total: inflation != null ? inflation + blocks + mev : null, blocksSource };
+  }
+
+  // Stake at which revenue covers the fixed costs; null when revenue can't grow with stake
+  function breakEvenStake(v, a) {
+    const rate = revenueRate(v, a).total;
+    return rate > 0 ? fixedCosts(a).total / rate : null;
+  }
+
+  // Annual P&L of one validator ({ totalNetworkStake, sfdpStake, commission, jitoCommission, isJito,
+  // skipRate, leaderSlots, blocksProduced }). Status "unknown", with no revenue or profit, when
+  // its commission is unknown.
+  function modelValidator(v, a) {
+    const rate = revenueRate(v, a);
+    const costs = fixedCosts(a);
+    const stake = v.totalNetworkStake || 0;
+    const sfdpStake = Math.min(v.sfdpStake || 0, stake);
+    const known = rate.total != null;
+    const revenue = known ? {
+      inflation: stake * rate.inflation,
+      blocks: stake * rate.blocks,
+      mev: stake * rate.mev,
+      total: stake * rate.total,
+    } : null;
+    const profit = known ? revenue.total - costs.total : null;
+    const profitWithoutSfdp = known ? (stake - sfdpStake) * rate.total - costs.total : null;
+    return {
+      voter: v.voter,
+      name: v.name || null,
+      stake,
+      sfdpStake,
+      revenue,
+      blocksSource: rate.blocksSource,
+      costs,
+      profit,
+      profitWithoutSfdp,
+      breakEvenStake: rate.total > 0 ? costs.total / rate.total : null,
+      sfdpRevenuePct: stake > 0 ? sfdpStake / stake * 100 : null,
+      status: !known ? "unknown" : profit < 0 ? "unprofitable" : profitWithoutSfdp < 0 ? "dependent" : "independent",
+    };
+  }
+
+  // Network stake, observed block production range and gross yield from a snapshot, where it
+  // has them. The realized APY is net of commission, so it is grossed up per validator before
+  // stake-weighting.
+  function assumptionsFromData(D, base = DEFAULT_ASSUMPTIONS) {
+    const a = { ...base };
+    if (D?.networkStake > 0) a.networkStakeSol = D.networkStake;
+    if (D?.blockProductionSlots > 0) a.observedSlots = D.blockProductionSlots;
+    const rewarded = (D?.rewards?.validators || []).filter(v => v.apy != null && v.commission != null && v.commission < 100 && v.stake > 0);
+    const stake = rewarded.reduce((s, v) => s + v.stake, 0);
+    if (stake > 0) {
+      const gross = rewarded.reduce((s, v) => s + v.apy / (1 - v.commission / 100) * v.stake, 0) / stake;
+      a.stakingYieldPct = +gross.toFixed(2);
+    }
+    return a;
+  }
+
+  // Models every validator with SFDP stake. `inputs` is SFDPCompliance.complianceInputs-shaped.
+  function evaluate(inputs, assumptions = DEFAULT_ASSUMPTIONS) {
+    const a = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+    // Most profitable first, unknown commission last
+    const validators = inputs.map(v => modelValidator(v, a)).sort((x, y) => (y.profit ?? -Infinity) - (x.profit ?? -Infinity));
+    const count = (status) => validators.filter(v => v.status === status).length;
+    const commission = median(inputs.map(v => v.commission));
+    return {
+      assumptions: a,
+      fixedCosts: fixedCosts(a),
+      summary: {
+        validators: validators.length,
+        independent: count("independent"),
+        dependent: count("dependent"),
+        unprofitable: count("unprofitable"),
+        unknown: count("unknown"),
+        medianProfit: median(validators.map(v => v.profit)),
+        medianCommission: commission,
+        // Non-Jito validator at the median commission and the default skip rate (null when no commission is known)
+        breakEvenStake: breakEvenStake({ commission, isJito: false }, a),
+        dependentSfdpStake: validators.filter(v => v.status === "dependent").reduce((s, v) => s + v.sfdpStake, 0),
+      },
+      validators,
+    };
+  }
+
+  return { DEFAULT_ASSUMPTIONS, ASSUMPTIONS, fixedCosts, blockRate, revenueRate, breakEvenStake, modelValidator, assumptionsFromData, evaluate };
+});
@@ -0,0 +1,112 @@
+// Flat tabular exports (CSV, TSV, NDJSON) of latest.json and network-latest.json
+const path = require("path");
+const { writeAtomic } = require("./snapshots");
+
+const EXPORT_DIR = "exports";
+const DEFAULT_FORMATS = ["csv", "ndjson"];
+
+// Text a spreadsheet would evaluate as a formula. Names come from validator-info and Stakewiz,
+// which anyone can set, so such strings are exported with a leading ' (numbers are left alone).
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function delimited(sep) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = typeof v === "string" && FORMULA_RE.test(v) ? `'${v}` : String(v);
+    if (sep === "\t") return s.replace(/[\t\r\n]+/g, " ");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return (columns, rows) => [columns.join(sep), ...rows.map(r => columns.map(c => cell(r[c])).join(sep))].join("\n") + "\n";
+}
+
+const FORMATS = {
+  csv: delimited(","),
+  tsv: delimited("\t"),
+  ndjson: (columns, rows) => rows.map(r => JSON.stringify(Object.fromEntries(columns.map(c => [c, r[c] ?? null])))).join("\n") + (rows.length ? "\n" : ""),
+};
+
+const VALIDATOR_COLUMNS = [
+  "authority", "voter", "name", "activeStake", "deactivatingStake", "accounts", "pctOfPool", "totalNetworkStake",
+  "commission", "jitoCommission", "isJito", "version", "client", "skipRate", "delinquent", "delinquentStreak",
+  "voteCredits", "tvcEffectiveness", "creditsRank", "voteLatency", "superminority",
+  "country", "countryCode", "city", "asn", "asnOrg", "compliance", "rewards", "realizedApy", "apy",
+];
+const STAKE_ACCOUNT_COLUMNS = [
+  "authority", "pubkey", "role", "voter", "state", "stake", "effectiveStake", "activationEpoch", "deactivationEpoch", "staker", "withdrawer",
+  "reward", "rewardStake",
+];
+const AGGREGATE_COLUMNS = ["scope", "dimension", "name", "code", "count", "stake", "pct"];
+const NETWORK_COLUMNS = [
+  "voter", "identity", "name", "stake", "pctOfTotal", "commission", "jitoCommission", "isJito", "version", "client", "skipRate",
+  "leaderSlots", "blocksProduced", "voteCredits", "tvcEffectiveness", "creditsRank", "voteLatency", "delinquent", "delinquentStreak", "isSuperminority", "country", "countryCode", "city", "asn", "asnOrg",
+];
+
+// [dimension, path to a [{ name, count, stake, pct }] list]
+const AGGREGATES = [
+  ["country", (x) => x.geographic?.countries],
+  ["continent", (x) => x.geographic?.continents],
+  ["region", (x) => x.geographic?.regions],
+  ["datacenter", (x) => x.geographic?.datacenters],
+  ["city", (x) => x.geographic?.topCities],
+  ["asn", (x) => x.geographic?.topASNs],
+  ["version", (x) => x.software?.versions],
+  ["client", (x) => x.software?.clients || x.clientDiversity?.sfdp.clients],
+  ["commission", (x) => x.commissionDistribution],
+];
+
+function aggregateRows(scope, source) {
+  const rows = [];
+  for (const [dimension, get] of AGGREGATES) {
+    for (const g of get(source) || []) {
+      rows.push({ scope, dimension, name: g.name, code: g.code ?? null, count: g.count, stake: g.stake, pct: g.pct != null ? parseFloat(g.pct) : null });
+    }
+  }
+  return rows;
+}
+
+// Tables derived from latest.json: { name: { columns, rows } }
+function sfdpTables(D) {
+  const status = Object.fromEntries((D.compliance?.validators || []).map(v => [v.voter, v.status]));
+  const validators = [], stakeAccounts = [], aggregates = [];
+  for (const [key, a] of Object.entries(D.accounts)) {
+    for (const v of a.validators || []) validators.push({ ...v, authority: key, compliance: status[v.voter] ?? null });
+    for (const s of a.stakeAccounts || []) stakeAccounts.push({ ...s, authority: key });
+    aggregates.push(...aggregateRows(key, a));
+  }
+  if (D.combined?.geographic || D.combined?.clientDiversity) aggregates.push(...aggregateRows("combined", D.combined));
+  return {
+    "sfdp-validators": { columns: VALIDATOR_COLUMNS, rows: validators },
+    "sfdp-stake-accounts": { columns: STAKE_ACCOUNT_COLUMNS, rows: stakeAccounts },
+    "sfdp-aggregates": { columns: AGGREGATE_COLUMNS, rows: aggregates },
+  };
+}
+
+// Tables derived from network-latest.json
+function networkTables(N) {
+  return {
+    "network-validators": {
+      columns: NETWORK_COLUMNS,
+      rows: N.validators.map(v => ({ ...v, pctOfTotal: v.pctOfTotal != null ? parseFloat(v.pctOfTotal) : null })),
+    },
+    "network-aggregates": { columns: AGGREGATE_COLUMNS, rows: aggregateRows("network", N) },
+  };
+}
+
+// Writes every table in every format to <outDir>/exports/<name>.<format>, each file atomically
+// so a failed run never leaves a half-written export behind. Returns the written paths.
+function writeExports(outDir, tables, formats = DEFAULT_FORMATS) {
+  const unknown = formats.filter(f => !FORMATS[f]);
+  if (unknown.length) throw new Error(`Unknown export format ${unknown.join(", ")} (expected: ${Object.keys(FORMATS).join(", ")})`);
+  const dir = path.join(outDir, EXPORT_DIR);
+  const written = [];
+  for (const [name, { columns, rows }] of Object.entries(tables)) {
+    for (const f of formats) {
+      const file = path.join(dir, `${name}.${f}`);
+      writeAtomic(file, FORMATS[f](columns, rows));
+      written.push(file);
+    }
+  }
+  return written;
+}
+
+module.exports = { EXPORT_DIR, DEFAULT_FORMATS, FORMATS, sfdpTables, networkTables, writeExports };
@@ -0,0 +1,176 @@
+// Fixture bundles: record every JSON-RPC exchange and metadata HTTP response of a
+// collection run, then replay the run from the bundle with no network and a frozen
+// clock, so one bundle always yields byte-identical latest.json / network-latest.json.
+//
+// A bundle (gzip JSON when the file name ends in .gz) holds:
+//   run          what was collected: authorities, metadata sources, METADATA_FILE
+//   recordedAt   the clock of every replay (timestamps, metadata fetchedAt; timings are 0)
+//   exchanges    [{ request, response }]: JSON-RPC bodies without ids, Stakewiz GETs
+//   files        metadata files the file provider read, by path
+//   cache        last-known-good metadata the run fell back to, by provider
+//   previous     the previous epoch's snapshot the run carried its rewards ledger and
+//                delinquency streaks over from
+//   previousNetwork  the network-latest.json the network collector carried its delinquency
+//                streaks over from (absent in older bundles: none)
+//
+// RPC endpoints are not stored (their URLs may carry API keys): requests are matched
+// by method and params alone. The last response to a request wins, so a retry that
+// succeeded replays as that success.
+const fs = require("fs");
+const zlib = require("zlib");
+const { dirCache } = require("./metadata");
+const { previousSnapshot } = require("./changelog");
+const { writeAtomic, readRaw } = require("./snapshots");
+
+const BUNDLE_VERSION = 1;
+
+// Stands in for the RPC endpoints on replay; never resolved
+const REPLAY_ENDPOINT = "replay://fixture";
+
+// JSON-RPC bodies without the per-run ids: { method, params } or an array of them
+const stripIds = (body) => Array.isArray(body) ? body.map(stripIds) : { method: body.method, params: body.params };
+
+function describeRequest(url, init = {}) {
+  if (!init.body) return { method: init.method || "GET", url: String(url) };
+  return { method: "POST", body: stripIds(JSON.parse(init.body)) };
+}
+
+const requestKey = (req) => req.body ? JSON.stringify(req.body) : `${req.method} ${req.url}`;
+
+// Batch responses in request order, ids dropped (replay hands out the new request's ids)
+function normalizeResponse(body, requestBody) {
+  if (!Array.isArray(body)) {
+    const { id, jsonrpc, ...rest } = body;
+    return rest;
+  }
+  const ids = requestBody.map(r => r.id);
+  return [...body].sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id)).map(r => normalizeResponse(r));
+}
+
+// Epoch of the recorded getEpochInfo answer, for finding the snapshot the run carried over from
+function recordedEpoch(exchanges) {
+  const e = exchanges.find(x => x.request.body?.method === "getEpochInfo" && x.response.json?.result);
+  return e ? e.response.json.result.epoch : null;
+}
+
+// Wraps the live fetch, metadata file reads and metadata cache reads of a run.
+// Give `fetch` to the RPC client and `metadataOptions` to the collector; after the run,
+// saveBundle(file, recorder.bundle({ run, dataDir })).
+function createRecorder({ fetch = globalThis.fetch, cacheDir, now = Date.now() } = {}) {
+  const exchanges = new Map();
+  const files = {};
+  const cache = {};
+  const liveCache = dirCache(cacheDir);
+
+  async function recordingFetch(url, init = {}) {
+    const request = describeRequest(url, init);
+    const key = requestKey(request);
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (e) {
+      exchanges.set(key, { request, response: { error: e.message, name: e.name } });
+      throw e;
+    }
+    const text = await res.clone().text();
+    const response = { status: res.status };
+    const retryAfter = res.headers.get("retry-after");
+    if (retryAfter) response.retryAfter = retryAfter;
+    try {
+      response.json = request.body ? normalizeResponse(JSON.parse(text), JSON.parse(init.body)) : JSON.parse(text);
+    } catch {
+      response.text = text;
+    }
+    exchanges.set(key, { request, response });
+    return res;
+  }
+
+  return {
+    fetch: recordingFetch,
+    metadataOptions: {
+      providerOpts: {
+        stakewiz: { fetch: recordingFetch },
+        file: { readFile: (file) => (files[file] = fs.readFileSync(file, "utf8")) },
+      },
+      cache: {
+        read: (name) => (cache[name] = liveCache.read(name)),
+        write: liveCache.write,
+      },
+    },
+    // Bundle of everything recorded so far; `dataDir` is where the run found its previous snapshot,
+    // `previousNetwork` the network-latest.json it found there before writing its own
+    bundle({ run, dataDir, previousNetwork = null }) {
+      const list = [...exchanges.values()];
+      const epoch = recordedEpoch(list);
+      return {
+        bundleVersion: BUNDLE_VERSION,
+        recordedAt: new Date(now).toISOString(),
+        run,
+        previous: epoch == null ? null : previousSnapshot(dataDir, epoch),
+        previousNetwork,
+        files,
+        cache: Object.fromEntries(Object.entries(cache).filter(([, v]) => v)),
+        exchanges: list,
+      };
+    },
+  };
+}
+
+// Replays a bundle: `fetch` answers from the recorded exchanges only (anything else
+// fails), `now` is frozen at recordedAt, and the metadata cache is read-only.
+function createReplay(bundle) {
+  const exchanges = new Map(bundle.exchanges.map(x => [requestKey(x.request), x.response]));
+  const frozen = Date.parse(bundle.recordedAt);
+
+  async function replayFetch(url, init = {}) {
+    const request = describeRequest(url, init);
+    const response = exchanges.get(requestKey(request));
+    if (!response) {
+      const what = request.body ? (Array.isArray(request.body) ? `batch(${request.body.length}x${request.body[0]?.method})` : request.body.method) : request.url;
+      throw new Error(`${what} with these params is not in the fixture bundle`);
+    }
+    if (response.error) throw Object.assign(new Error(response.error), { name: response.name });
+    let body = response.json;
+    if (body !== undefined && request.body) {
+      const sent = JSON.parse(init.body);
+      body = Array.isArray(body) ? body.map((r, i) => ({ jsonrpc: "2.0", id: sent[i]?.id, ...r })) : { jsonrpc: "2.0", id: sent.id, ...body };
+    }
+    const headers = response.retryAfter ? { "retry-after": response.retryAfter } : {};
+    return new Response(body !== undefined ? JSON.stringify(body) : response.text, { status: response.status, headers });
+  }
+
+  const readFile = (file) => {
+    if (!(file in bundle.files)) throw new Error(`${file} is not in the fixture bundle`);
+    return bundle.files[file];
+  };
+
+  return {
+    fetch: replayFetch,
+    now: () => frozen,
+    previous: bundle.previous,
+    previousNetwork: bundle.previousNetwork ?? null,
+    run: bundle.run,
+    metadataOptions: {
+      providerOpts: {
+        stakewiz: { fetch: replayFetch },
+        file: { file: bundle.run.metadataFile, readFile },
+      },
+      cache: { read: (name) => bundle.cache[name] ?? null, write: () => {} },
+    },
+  };
+}
+
+function saveBundle(file, bundle) {
+  const json = JSON.stringify(bundle);
+  writeAtomic(file, file.endsWith(".gz") ? zlib.gzipSync(json) : json);
+}
+
+function loadBundle(file) {
+  const bundle = readRaw(file);
+  if (bundle.bundleVersion !== BUNDLE_VERSION) {
+    throw new Error(`${file}: fixture bundle version ${bundle.bundleVersion}, expected ${BUNDLE_VERSION}`);
+  }
+  return bundle;
+}
+
+module.exports = { BUNDLE_VERSION, REPLAY_ENDPOINT, createRecorder, createReplay, saveBundle, loadBundle };
@@ -0,0 +1,376 @@
+// Geographic normalization shared by the collectors and the dashboards
+//
+// Country names from the metadata sources ("Republic of Lithuania", "Czech Republic",
+// ISO codes, ...) resolve to one ISO 3166-1 entry with its continent and UN-style
+// region. Validators are also grouped into datacenter clusters (same ASN and city).
+// UMD so index.html and network.html use the same tables; the world map geometry
+// is assets/countries-110m.geojson (Natural Earth via world-atlas, ids are ISO numeric).
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SFDPGeo = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const UNKNOWN = "Unknown";
+
+  // [alpha-2, alpha-3, numeric, name, continent, region, aliases]
+  const ISO_COUNTRIES = [
+    ["AD", "AND", 20, "Andorra", "Europe", "Southern Europe", ["Principality of Andorra", "Principat d'Andorra"]],
+    ["AE", "ARE", 784, "United Arab Emirates", "Asia", "Western Asia", ["Emirates"]],
+    ["AF", "AFG", 4, "Afghanistan", "Asia", "Southern Asia", ["Islamic Republic of Afghanistan"]],
+    ["AG", "ATG", 28, "Antigua and Barbuda", "North America", "Caribbean", []],
+    ["AI", "AIA", 660, "Anguilla", "North America", "Caribbean", []],
+    ["AL", "ALB", 8, "Albania", "Europe", "Southeast Europe", ["Republic of Albania", "Shqipnia"]],
+    ["AM", "ARM", 51, "Armenia", "Asia", "Western Asia", ["Republic of Armenia", "Hayastan"]],
+    ["AO", "AGO", 24, "Angola", "Africa", "Middle Africa", ["Republic of Angola"]],
+    ["AQ", "ATA", 10, "Antarctica", "Antarctica", "Antarctica", []],
+    ["AR", "ARG", 32, "Argentina", "South America", "South America", ["Argentine Republic"]],
+    ["AS", "ASM", 16, "American Samoa", "Oceania", "Polynesia", []],
+    ["AT", "AUT", 40, "Austria", "Europe", "Central Europe", ["Republic of Austria", "Osterreich", "Oesterreich"]],
+    ["AU", "AUS", 36, "Australia", "Oceania", "Australia and New Zealand", ["Commonwealth of Australia"]],
+    ["AW", "ABW", 533, "Aruba", "North America", "Caribbean", []],
+    ["AX", "ALA", 248, "Åland Islands", "Europe", "Northern Europe", ["Aaland", "Aland", "Ahvenanmaa"]],
+    ["AZ", "AZE", 31, "Azerbaijan", "Asia", "Western Asia", ["Republic of Azerbaijan"]],
+    ["BA", "BIH", 70, "Bosnia and Herzegovina", "Europe", "Southeast Europe", ["Bosnia-Herzegovina"]],
+    ["BB", "BRB", 52, "Barbados", "North America", "Caribbean", []],
+    ["BD", "BGD", 50, "Bangladesh", "Asia", "Southern Asia", ["People's Republic of Bangladesh"]],
+    ["BE", "BEL", 56, "Belgium", "Europe", "Western Europe", ["Kingdom of Belgium", "Belgie", "Belgien", "Belgique", "Royaume de Belgique"]],
+    ["BF", "BFA", 854, "Burkina Faso", "Africa", "Western Africa", []],
+    ["BG", "BGR", 100, "Bulgaria", "Europe", "Southeast Europe", ["Republic of Bulgaria"]],
+    ["BH", "BHR", 48, "Bahrain", "Asia", "Western Asia", ["Kingdom of Bahrain"]],
+    ["BI", "BDI", 108, "Burundi", "Africa", "Eastern Africa", ["Republic of Burundi", "Republika y'Uburundi"]],
+    ["BJ", "BEN", 204, "Benin", "Africa", "Western Africa", ["Republic of Benin"]],
+    ["BL", "BLM", 652, "Saint Barthélemy", "North America", "Caribbean", ["St. Barthelemy"]],
+    ["BM", "BMU", 60, "Bermuda", "North America", "North America", ["The Islands of Bermuda", "The Bermudas", "Somers Isles"]],
+    ["BN", "BRN", 96, "Brunei", "Asia", "South-Eastern Asia", ["Nation of Brunei, Abode of Peace", "Brunei Darussalam", "Nation of Brunei", "the Abode of Peace"]],
+    ["BO", "BOL", 68, "Bolivia", "South America", "South America", ["Plurinational State of Bolivia", "Buliwya", "Wuliwya", "Bolivia, Plurinational State of", "Estado Plurinacional de Bolivia", "Buliwya Mamallaqta", "Wuliwya Suyu"]],
+    ["BQ", "BES", 535, "Caribbean Netherlands", "North America", "Caribbean", ["Bonaire, Sint Eustatius and Saba", "BES islands", "Bonaire Sint Eustatius and Saba"]],
+    ["BR", "BRA", 76, "Brazil", "South America", "South America", ["Federative Republic of Brazil", "Brasil"]],
+    ["BS", "BHS", 44, "Bahamas", "North America", "Caribbean", ["Commonwealth of the Bahamas"]],
+    ["BT", "BTN", 64, "Bhutan", "Asia", "Southern Asia", ["Kingdom of Bhutan"]],
+    ["BV", "BVT", 74, "Bouvet Island", "Antarctica", "Antarctica", []],
+    ["BW", "BWA", 72, "Botswana", "Africa", "Southern Africa", ["Republic of Botswana", "Lefatshe la Botswana"]],
+    ["BY", "BLR", 112, "Belarus", "Europe", "Eastern Europe", ["Republic of Belarus"]],
+    ["BZ", "BLZ", 84, "Belize", "North America", "Central America", []],
+    ["CA", "CAN", 124, "Canada", "North America", "North America", []],
+    ["CC", "CCK", 166, "Cocos (Keeling) Islands", "Oceania", "Australia and New Zealand", ["Territory of the Cocos (Keeling) Islands", "Keeling Islands", "Cocos Islands"]],
+    ["CD", "COD", 180, "DR Congo", "Africa", "Middle Africa", ["Democratic Republic of the Congo", "Congo-Kinshasa", "Congo, the Democratic Republic of the", "Democratic Republic of Congo"]],
+    ["CF", "CAF", 140, "Central African Republic", "Africa", "Middle Africa", []],
+    ["CG", "COG", 178, "Republic of the Congo", "Africa", "Middle Africa", ["Congo", "Congo-Brazzaville"]],
+    ["CH", "CHE", 756, "Switzerland", "Europe", "Western Europe", ["Swiss Confederation", "Schweiz", "Suisse", "Svizzera", "Svizra"]],
+    ["CI", "CIV", 384, "Ivory Coast", "Africa", "Western Africa", ["Cote d'Ivoire"]],
+    ["CK", "COK", 184, "Cook Islands", "Oceania", "Polynesia", []],
+    ["CL", "CHL", 152, "Chile", "South America", "South America", ["Republic of Chile"]],
+    ["CM", "CMR", 120, "Cameroon", "Africa", "Middle Africa", ["Republic of Cameroon"]],
+    ["CN", "CHN", 156, "China", "Asia", "Eastern Asia", ["People's Republic of China", "Zhongguo", "Zhonghua"]],
+    ["CO", "COL", 170, "Colombia", "South America", "South America", ["Republic of Colombia"]],
+    ["CR", "CRI", 188, "Costa Rica", "North America", "Central America", ["Republic of Costa Rica"]],
+    ["CU", "CUB", 192, "Cuba", "North America", "Caribbean", ["Republic of Cuba"]],
+    ["CV", "CPV", 132, "Cape Verde", "Africa", "Western Africa", ["Republic of Cabo Verde"]],
+    ["CW", "CUW", 531, "Curaçao", "North America", "Caribbean", ["Curacao"]],
+    ["CX", "CXR", 162, "Christmas Island", "Oceania", "Australia and New Zealand", ["Territory of Christmas Island"]],
+    ["CY", "CYP", 196, "Cyprus", "Europe", "Southern Europe", ["Republic of Cyprus"]],
+    ["CZ", "CZE", 203, "Czechia", "Europe", "Central Europe", ["Czech Republic"]],
+    ["DE", "DEU", 276, "Germany", "Europe", "Western Europe", ["Federal Republic of Germany", "Bundesrepublik Deutschland"]],
+    ["DJ", "DJI", 262, "Djibouti", "Africa", "Eastern Africa", ["Republic of Djibouti", "Jabuuti", "Gabuuti", "Gabuutih Ummuuno", "Jamhuuriyadda Jabuuti"]],
+    ["DK", "DNK", 208, "Denmark", "Europe", "Northern Europe", ["Kingdom of Denmark", "Danmark", "Kongeriget Danmark"]],
+    ["DM", "DMA", 212, "Dominica", "North America", "Caribbean", ["Commonwealth of Dominica", "Dominique"]],
+    ["DO", "DOM", 214, "Dominican Republic", "North America", "Caribbean", []],
+    ["DZ", "DZA", 12, "Algeria", "Africa", "Northern Africa", ["People's Democratic Republic of Algeria", "Dzayer"]],
+    ["EC", "ECU", 218, "Ecuador", "South America", "South America", ["Republic of Ecuador"]],
+    ["EE", "EST", 233, "Estonia", "Europe", "Northern Europe", ["Republic of Estonia", "Eesti", "Eesti Vabariik"]],
+    ["EG", "EGY", 818, "Egypt", "Africa", "Northern Africa", ["Arab Republic of Egypt"]],
+    ["EH", "ESH", 732, "Western Sahara", "Africa", "Northern Africa", ["Sahrawi Arab Democratic Republic"]],
+    ["ER", "ERI", 232, "Eritrea", "Africa", "Eastern Africa", ["State of Eritrea"]],
+    ["ES", "ESP", 724, "Spain", "Europe", "Southern Europe", ["Kingdom of Spain"]],
+    ["ET", "ETH", 231, "Ethiopia", "Africa", "Eastern Africa", ["Federal Democratic Republic of Ethiopia"]],
+    ["FI", "FIN", 246, "Finland", "Europe", "Northern Europe", ["Republic of Finland", "Suomi", "Suomen tasavalta", "Republiken Finland"]],
+    ["FJ", "FJI", 242, "Fiji", "Oceania", "Melanesia", ["Republic of Fiji", "Viti", "Matanitu ko Viti"]],
+    ["FK", "FLK", 238, "Falkland Islands", "South America", "South America", ["Islas Malvinas", "Falkland Islands (Malvinas)"]],
+    ["FM", "FSM", 583, "Micronesia", "Oceania", "Micronesia", ["Federated States of Micronesia", "Micronesia, Federated States of"]],
+    ["FO", "FRO", 234, "Faroe Islands", "Europe", "Northern Europe", ["Faeroe Islands"]],
+    ["FR", "FRA", 250, "France", "Europe", "Western Europe", ["French Republic"]],
+    ["GA", "GAB", 266, "Gabon", "Africa", "Middle Africa", ["Gabonese Republic"]],
+    ["GB", "GBR", 826, "United Kingdom", "Europe", "Northern Europe", ["United Kingdom of Great Britain and Northern Ireland", "Great Britain"]],
+    ["GD", "GRD", 308, "Grenada", "North America", "Caribbean", []],
+    ["GE", "GEO", 268, "Georgia", "Asia", "Western Asia", ["Sakartvelo"]],
+    ["GF", "GUF", 254, "French Guiana", "South America", "South America", ["Guiana", "Guyane"]],
+    ["GG", "GGY", 831, "Guernsey", "Europe", "Northern Europe", ["Bailiwick of Guernsey", "Bailliage de Guernesey"]],
+    ["GH", "GHA", 288, "Ghana", "Africa", "Western Africa", ["Republic of Ghana"]],
+    ["GI", "GIB", 292, "Gibraltar", "Europe", "Southern Europe", []],
+    ["GL", "GRL", 304, "Greenland", "North America", "North America", []],
+    ["GM", "GMB", 270, "Gambia", "Africa", "Western Africa", ["Republic of the Gambia"]],
+    ["GN", "GIN", 324, "Guinea", "Africa", "Western Africa", ["Republic of Guinea"]],
+    ["GP", "GLP", 312, "Guadeloupe", "North America", "Caribbean", ["Gwadloup"]],
+    ["GQ", "GNQ", 226, "Equatorial Guinea", "Africa", "Middle Africa", ["Republic of Equatorial Guinea"]],
+    ["GR", "GRC", 300, "Greece", "Europe", "Southern Europe", ["Hellenic Republic"]],
+    ["GS", "SGS", 239, "South Georgia", "Antarctica", "Antarctica", ["South Georgia and the South Sandwich Islands"]],
+    ["GT", "GTM", 320, "Guatemala", "North America", "Central America", ["Republic of Guatemala"]],
+    ["GU", "GUM", 316, "Guam", "Oceania", "Micronesia", []],
+    ["GW", "GNB", 624, "Guinea-Bissau", "Africa", "Western Africa", ["Republic of Guinea-Bissau"]],
+    ["GY", "GUY", 328, "Guyana", "South America", "South America", ["Co-operative Republic of Guyana"]],
+    ["HK", "HKG", 344, "Hong Kong", "Asia", "Eastern Asia", ["Hong Kong Special Administrative Region of the People's Republic of China"]],
+    ["HM", "HMD", 334, "Heard Island and McDonald Islands", "Antarctica", "Antarctica", []],
+    ["HN", "HND", 340, "Honduras", "North America", "Central America", ["Republic of Honduras"]],
+    ["HR", "HRV", 191, "Croatia", "Europe", "Southeast Europe", ["Republic of Croatia", "Hrvatska", "Republika Hrvatska"]],
+    ["HT", "HTI", 332, "Haiti", "North America", "Caribbean", ["Republic of Haiti", "Repiblik Ayiti"]],
+    ["HU", "HUN", 348, "Hungary", "Europe", "Central Europe", []],
+    ["ID", "IDN", 360, "Indonesia", "Asia", "South-Eastern Asia", ["Republic of Indonesia", "Republik Indonesia"]],
+    ["IE", "IRL", 372, "Ireland", "Europe", "Northern Europe", ["Republic of Ireland"]],
+    ["IL", "ISR", 376, "Israel", "Asia", "Western Asia", ["State of Israel"]],
+    ["IM", "IMN", 833, "Isle of Man", "Europe", "Northern Europe", ["Ellan Vannin", "Mann", "Mannin"]],
+    ["IN", "IND", 356, "India", "Asia", "Southern Asia", ["Republic of India", "Bharat Ganrajya"]],
+    ["IO", "IOT", 86, "British Indian Ocean Territory", "Africa", "Eastern Africa", []],
+    ["IQ", "IRQ", 368, "Iraq", "Asia", "Western Asia", ["Republic of Iraq"]],
+    ["IR", "IRN", 364, "Iran", "Asia", "Southern Asia", ["Islamic Republic of Iran", "Iran, Islamic Republic of"]],
+    ["IS", "ISL", 352, "Iceland", "Europe", "Northern Europe", ["Island", "Republic of Iceland"]],
+    ["IT", "ITA", 380, "Italy", "Europe", "Southern Europe", ["Italian Republic", "Repubblica italiana"]],
+    ["JE", "JEY", 832, "Jersey", "Europe", "Northern Europe", ["Bailiwick of Jersey", "Bailliage de Jersey"]],
+    ["JM", "JAM", 388, "Jamaica", "North America", "Caribbean", []],
+    ["JO", "JOR", 400, "Jordan", "Asia", "Western Asia", ["Hashemite Kingdom of Jordan"]],
+    ["JP", "JPN", 392, "Japan", "Asia", "Eastern Asia", ["Nippon", "Nihon"]],
+    ["KE", "KEN", 404, "Kenya", "Africa", "Eastern Africa", ["Republic of Kenya", "Jamhuri ya Kenya"]],
+    ["KG", "KGZ", 417, "Kyrgyzstan", "Asia", "Central Asia", ["Kyrgyz Republic", "Kyrgyz Respublikasy"]],
+    ["KH", "KHM", 116, "Cambodia", "Asia", "South-Eastern Asia", ["Kingdom of Cambodia"]],
+    ["KI", "KIR", 296, "Kiribati", "Oceania", "Micronesia", ["Independent and Sovereign Republic of Kiribati", "Republic of Kiribati", "Ribaberiki Kiribati"]],
+    ["KM", "COM", 174, "Comoros", "Africa", "Eastern Africa", ["Union of the Comoros", "Union des Comores", "Udzima wa Komori"]],
+    ["KN", "KNA", 659, "Saint Kitts and Nevis", "North America", "Caribbean", ["Federation of Saint Christopher and Nevis"]],
+    ["KP", "PRK", 408, "North Korea", "Asia", "Eastern Asia", ["Democratic People's Republic of Korea", "DPRK", "Korea, Democratic People's Republic of"]],
+    ["KR", "KOR", 410, "South Korea", "Asia", "Eastern Asia", ["Republic of Korea", "Korea, Republic of"]],
+    ["KW", "KWT", 414, "Kuwait", "Asia", "Western Asia", ["State of Kuwait", "Dawlat al-Kuwait"]],
+    ["KY", "CYM", 136, "Cayman Islands", "North America", "Caribbean", []],
+    ["KZ", "KAZ", 398, "Kazakhstan", "Asia", "Central Asia", ["Republic of Kazakhstan", "Qazaqstan", "Respublika Kazakhstan"]],
+    ["LA", "LAO", 418, "Laos", "Asia", "South-Eastern Asia", ["Lao People's Democratic Republic", "Sathalanalat Paxathipatai Paxaxon Lao"]],
+    ["LB", "LBN", 422, "Lebanon", "Asia", "Western Asia", ["Lebanese Republic"]],
+    ["LC", "LCA", 662, "Saint Lucia", "North America", "Caribbean", []],
+    ["LI", "LIE", 438, "Liechtenstein", "Europe", "Western Europe", ["Principality of Liechtenstein"]],
+    ["LK", "LKA", 144, "Sri Lanka", "Asia", "Southern Asia", ["Democratic Socialist Republic of Sri Lanka"]],
+    ["LR", "LBR", 430, "Liberia", "Africa", "Western Africa", ["Republic of Liberia"]],
+    ["LS", "LSO", 426, "Lesotho", "Africa", "Southern Africa", ["Kingdom of Lesotho", "Muso oa Lesotho"]],
+    ["LT", "LTU", 440, "Lithuania", "Europe", "Northern Europe", ["Republic of Lithuania", "Lietuvos Respublika"]],
+    ["LU", "LUX", 442, "Luxembourg", "Europe", "Western Europe", ["Grand Duchy of Luxembourg"]],
+    ["LV", "LVA", 428, "Latvia", "Europe", "Northern Europe", ["Republic of Latvia", "Latvijas Republika"]],
+    ["LY", "LBY", 434, "Libya", "Africa", "Northern Africa", ["State of Libya", "Dawlat Libya"]],
+    ["MA", "MAR", 504, "Morocco", "Africa", "Northern Africa", ["Kingdom of Morocco"]],
+    ["MC", "MCO", 492, "Monaco", "Europe", "Western Europe", ["Principality of Monaco"]],
+    ["MD", "MDA", 498, "Moldova", "Europe", "Eastern Europe", ["Republic of Moldova", "Moldova, Republic of", "Republica Moldova"]],
+    ["ME", "MNE", 499, "Montenegro", "Europe", "Southeast Europe", ["Crna Gora"]],
+    ["MF", "MAF", 663, "Saint Martin", "North America", "Caribbean", ["Collectivity of Saint Martin", "Saint Martin (French part)"]],
+    ["MG", "MDG", 450, "Madagascar", "Africa", "Eastern Africa", ["Republic of Madagascar", "Repoblikan'i Madagasikara"]],
+    ["MH", "MHL", 584, "Marshall Islands", "Oceania", "Micronesia", ["Republic of the Marshall Islands"]],
+    ["MK", "MKD", 807, "North Macedonia", "Europe", "Southeast Europe", ["Republic of North Macedonia", "The former Yugoslav Republic of Macedonia", "Macedonia, The Former Yugoslav Republic of", "Macedonia"]],
+    ["ML", "MLI", 466, "Mali", "Africa", "Western Africa", ["Republic of Mali"]],
+    ["MM", "MMR", 104, "Myanmar", "Asia", "South-Eastern Asia", ["Republic of the Union of Myanmar", "Burma"]],
+    ["MN", "MNG", 496, "Mongolia", "Asia", "Eastern Asia", []],
+    ["MO", "MAC", 446, "Macau", "Asia", "Eastern Asia", ["Macao Special Administrative Region of the People's Republic of China", "Macao"]],
+    ["MP", "MNP", 580, "Northern Mariana Islands", "Oceania", "Micronesia", ["Commonwealth of the Northern Mariana Islands"]],
+    ["MQ", "MTQ", 474, "Martinique", "North America", "Caribbean", []],
+    ["MR", "MRT", 478, "Mauritania", "Africa", "Western Africa", ["Islamic Republic of Mauritania"]],
+    ["MS", "MSR", 500, "Montserrat", "North America", "Caribbean", []],
+    ["MT", "MLT", 470, "Malta", "Europe", "Southern Europe", ["Republic of Malta", "Repubblika ta' Malta"]],
+    ["MU", "MUS", 480, "Mauritius", "Africa", "Eastern Africa", ["Republic of Mauritius"]],
+    ["MV", "MDV", 462, "Maldives", "Asia", "Southern Asia", ["Republic of the Maldives", "Maldive Islands", "Dhivehi Raajjeyge Jumhooriyya"]],
+    ["MW", "MWI", 454, "Malawi", "Africa", "Eastern Africa", ["Republic of Malawi"]],
+    ["MX", "MEX", 484, "Mexico", "North America", "North America", ["United Mexican States", "Mexicanos", "Estados Unidos Mexicanos"]],
+    ["MY", "MYS", 458, "Malaysia", "Asia", "South-Eastern Asia", []],
+    ["MZ", "MOZ", 508, "Mozambique", "Africa", "Eastern Africa", ["Republic of Mozambique"]],
+    ["NA", "NAM", 516, "Namibia", "Africa", "Southern Africa", ["Republic of Namibia"]],
+    ["NC", "NCL", 540, "New Caledonia", "Oceania", "Melanesia", []],
+    ["NE", "NER", 562, "Niger", "Africa", "Western Africa", ["Republic of Niger", "Nijar"]],
+    ["NF", "NFK", 574, "Norfolk Island", "Oceania", "Australia and New Zealand", ["Territory of Norfolk Island", "Teratri of Norf'k Ailen"]],
+    ["NG", "NGA", 566, "Nigeria", "Africa", "Western Africa", ["Federal Republic of Nigeria", "Nijeriya"]],
+    ["NI", "NIC", 558, "Nicaragua", "North America", "Central America", ["Republic of Nicaragua"]],
+    ["NL", "NLD", 528, "Netherlands", "Europe", "Western Europe", ["Kingdom of the Netherlands", "Holland", "Nederland", "The Netherlands"]],
+    ["NO", "NOR", 578, "Norway", "Europe", "Northern Europe", ["Kingdom of Norway", "Norge", "Noreg", "Kongeriket Norge", "Kongeriket Noreg"]],
+    ["NP", "NPL", 524, "Nepal", "Asia", "Southern Asia", ["Federal Democratic Republic of Nepal"]],
+    ["NR", "NRU", 520, "Nauru", "Oceania", "Micronesia", ["Republic of Nauru", "Naoero", "Pleasant Island", "Ripublik Naoero"]],
+    ["NU", "NIU", 570, "Niue", "Oceania", "Polynesia", []],
+    ["NZ", "NZL", 554, "New Zealand", "Oceania", "Australia and New Zealand", ["Aotearoa"]],
+    ["OM", "OMN", 512, "Oman", "Asia", "Western Asia", ["Sultanate of Oman"]],
+    ["PA", "PAN", 591, "Panama", "North America", "Central America", ["Republic of Panama"]],
+    ["PE", "PER", 604, "Peru", "South America", "South America", ["Republic of Peru"]],
+    ["PF", "PYF", 258, "French Polynesia", "Oceania", "Polynesia", []],
+    ["PG", "PNG", 598, "Papua New Guinea", "Oceania", "Melanesia", ["Independent State of Papua New Guinea", "Independen Stet bilong Papua Niugini"]],
+    ["PH", "PHL", 608, "Philippines", "Asia", "South-Eastern Asia", ["Republic of the Philippines"]],
+    ["PK", "PAK", 586, "Pakistan", "Asia", "Southern Asia", ["Islamic Republic of Pakistan"]],
+    ["PL", "POL", 616, "Poland", "Europe", "Central Europe", ["Republic of Poland", "Rzeczpospolita Polska"]],
+    ["PM", "SPM", 666, "Saint Pierre and Miquelon", "North America", "North America", []],
+    ["PN", "PCN", 612, "Pitcairn Islands", "Oceania", "Polynesia", ["Pitcairn Group of Islands", "Pitcairn", "Pitcairn Henderson Ducie and Oeno Islands"]],
+    ["PR", "PRI", 630, "Puerto Rico", "North America", "Caribbean", ["Commonwealth of Puerto Rico", "Estado Libre Asociado de Puerto Rico"]],
+    ["PS", "PSE", 275, "Palestine", "Asia", "Western Asia", ["State of Palestine", "Palestine, State of"]],
+    ["PT", "PRT", 620, "Portugal", "Europe", "Southern Europe", ["Portuguese Republic", "Portuguesa"]],
+    ["PW", "PLW", 585, "Palau", "Oceania", "Micronesia", ["Republic of Palau", "Beluu er a Belau"]],
+    ["PY", "PRY", 600, "Paraguay", "South America", "South America", ["Republic of Paraguay"]],
+    ["QA", "QAT", 634, "Qatar", "Asia", "Western Asia", ["State of Qatar"]],
+    ["RE", "REU", 638, "Réunion", "Africa", "Eastern Africa", ["Reunion"]],
+    ["RO", "ROU", 642, "Romania", "Europe", "Southeast Europe", ["Rumania", "Roumania"]],
+    ["RS", "SRB", 688, "Serbia", "Europe", "Southeast Europe", ["Republic of Serbia", "Srbija", "Republika Srbija"]],
+    ["RU", "RUS", 643, "Russia", "Europe", "Eastern Europe", ["Russian Federation"]],
+    ["RW", "RWA", 646, "Rwanda", "Africa", "Eastern Africa", ["Republic of Rwanda", "Repubulika y'u Rwanda"]],
+    ["SA", "SAU", 682, "Saudi Arabia", "Asia", "Western Asia", ["Kingdom of Saudi Arabia", "Saudi"]],
+    ["SB", "SLB", 90, "Solomon Islands", "Oceania", "Melanesia", []],
+    ["SC", "SYC", 690, "Seychelles", "Africa", "Eastern Africa", ["Republic of Seychelles", "Repiblik Sesel"]],
+    ["SD", "SDN", 729, "Sudan", "Africa", "Northern Africa", ["Republic of the Sudan"]],
+    ["SE", "SWE", 752, "Sweden", "Europe", "Northern Europe", ["Kingdom of Sweden", "Konungariket Sverige"]],
+    ["SG", "SGP", 702, "Singapore", "Asia", "South-Eastern Asia", ["Republic of Singapore", "Singapura", "Republik Singapura"]],
+    ["SH", "SHN", 654, "Saint Helena, Ascension and Tristan da Cunha", "Africa", "Western Africa", ["Saint Helena", "St. Helena, Ascension and Tristan da Cunha"]],
+    ["SI", "SVN", 705, "Slovenia", "Europe", "Central Europe", ["Republic of Slovenia", "Republika Slovenija"]],
+    ["SJ", "SJM", 744, "Svalbard and Jan Mayen", "Europe", "Northern Europe", ["Svalbard og Jan Mayen", "Svalbard and Jan Mayen Islands"]],
+    ["SK", "SVK", 703, "Slovakia", "Europe", "Central Europe", ["Slovak Republic"]],
+    ["SL", "SLE", 694, "Sierra Leone", "Africa", "Western Africa", ["Republic of Sierra Leone"]],
+    ["SM", "SMR", 674, "San Marino", "Europe", "Southern Europe", ["Most Serene Republic of San Marino", "Republic of San Marino", "Repubblica di San Marino"]],
+    ["SN", "SEN", 686, "Senegal", "Africa", "Western Africa", ["Republic of Senegal"]],
+    ["SO", "SOM", 706, "Somalia", "Africa", "Eastern Africa", ["Federal Republic of Somalia", "Jamhuuriyadda Federaalka Soomaaliya"]],
+    ["SR", "SUR", 740, "Suriname", "South America", "South America", ["Republic of Suriname", "Sarnam", "Sranangron", "Republiek Suriname"]],
+    ["SS", "SSD", 728, "South Sudan", "Africa", "Middle Africa", ["Republic of South Sudan"]],
+    ["ST", "STP", 678, "São Tomé and Príncipe", "Africa", "Middle Africa", ["Sao Tome and Principe"]],
+    ["SV", "SLV", 222, "El Salvador", "North America", "Central America", ["Republic of El Salvador"]],
+    ["SX", "SXM", 534, "Sint Maarten", "North America", "Caribbean", ["Sint Maarten (Dutch part)"]],
+    ["SY", "SYR", 760, "Syria", "Asia", "Western Asia", ["Syrian Arab Republic"]],
+    ["SZ", "SWZ", 748, "Eswatini", "Africa", "Southern Africa", ["Kingdom of Eswatini", "Swaziland", "weSwatini", "Swatini", "Ngwane", "Umbuso weSwatini"]],
+    ["TC", "TCA", 796, "Turks and Caicos Islands", "North America", "Caribbean", []],
+    ["TD", "TCD", 148, "Chad", "Africa", "Middle Africa", ["Republic of Chad", "Tchad"]],
+    ["TF", "ATF", 260, "French Southern and Antarctic Lands", "Antarctica", "Antarctica", ["Territory of the French Southern and Antarctic Lands", "French Southern Territories"]],
+    ["TG", "TGO", 768, "Togo", "Africa", "Western Africa", ["Togolese Republic", "Togolese"]],
+    ["TH", "THA", 764, "Thailand", "Asia", "South-Eastern Asia", ["Kingdom of Thailand", "Prathet", "Thai", "Ratcha Anachak Thai"]],
+    ["TJ", "TJK", 762, "Tajikistan", "Asia", "Central Asia", ["Republic of Tajikistan"]],
+    ["TK", "TKL", 772, "Tokelau", "Oceania", "Polynesia", []],
+    ["TL", "TLS", 626, "Timor-Leste", "Asia", "South-Eastern Asia", ["Democratic Republic of Timor-Leste", "East Timor", "Timor", "Timor Lorosae"]],
+    ["TM", "TKM", 795, "Turkmenistan", "Asia", "Central Asia", []],
+    ["TN", "TUN", 788, "Tunisia", "Africa", "Northern Africa", ["Tunisian Republic", "Republic of Tunisia"]],
+    ["TO", "TON", 776, "Tonga", "Oceania", "Polynesia", ["Kingdom of Tonga"]],
+    ["TR", "TUR", 792, "Türkiye", "Asia", "Western Asia", ["Turkiye", "Republic of Turkey"]],
+    ["TT", "TTO", 780, "Trinidad and Tobago", "North America", "Caribbean", ["Republic of Trinidad and Tobago"]],
+    ["TV", "TUV", 798, "Tuvalu", "Oceania", "Polynesia", []],
+    ["TW", "TWN", 158, "Taiwan", "Asia", "Eastern Asia", ["Republic of China (Taiwan)", "Republic of China", "Chinese Taipei"]],
+    ["TZ", "TZA", 834, "Tanzania", "Africa", "Eastern Africa", ["United Republic of Tanzania", "Tanzania, United Republic of", "Jamhuri ya Muungano wa Tanzania"]],
+    ["UA", "UKR", 804, "Ukraine", "Europe", "Eastern Europe", ["Ukrayina"]],
+    ["UG", "UGA", 800, "Uganda", "Africa", "Eastern Africa", ["Republic of Uganda", "Jamhuri ya Uganda"]],
+    ["UM", "UMI", 581, "United States Minor Outlying Islands", "North America", "North America", []],
+    ["US", "USA", 840, "United States", "North America", "North America", ["United States of America"]],
+    ["UY", "URY", 858, "Uruguay", "South America", "South America", ["Oriental Republic of Uruguay"]],
+    ["UZ", "UZB", 860, "Uzbekistan", "Asia", "Central Asia", ["Republic of Uzbekistan"]],
+    ["VA", "VAT", 336, "Vatican City", "Europe", "Southern Europe", ["Vatican City State", "Holy See (Vatican City State)", "Vatican"]],
+    ["VC", "VCT", 670, "Saint Vincent and the Grenadines", "North America", "Caribbean", []],
+    ["VE", "VEN", 862, "Venezuela", "South America", "South America", ["Bolivarian Republic of Venezuela", "Venezuela, Bolivarian Republic of"]],
+    ["VG", "VGB", 92, "British Virgin Islands", "North America", "Caribbean", ["Virgin Islands", "Virgin Islands, British"]],
+    ["VI", "VIR", 850, "United States Virgin Islands", "North America", "Caribbean", ["Virgin Islands of the United States", "Virgin Islands, U.S."]],
+    ["VN", "VNM", 704, "Vietnam", "Asia", "South-Eastern Asia", ["Socialist Republic of Vietnam", "Viet Nam"]],
+    ["VU", "VUT", 548, "Vanuatu", "Oceania", "Melanesia", ["Republic of Vanuatu", "Ripablik blong Vanuatu"]],
+    ["WF", "WLF", 876, "Wallis and Futuna", "Oceania", "Polynesia", ["Territory of the Wallis and Futuna Islands"]],
+    ["WS", "WSM", 882, "Samoa", "Oceania", "Polynesia", ["Independent State of Samoa"]],
+    ["XK", "UNK", null, "Kosovo", "Europe", "Southeast Europe", ["Republic of Kosovo"]],
+    ["YE", "YEM", 887, "Yemen", "Asia", "Western Asia", ["Republic of Yemen", "Yemeni Republic"]],
+    ["YT", "MYT", 175, "Mayotte", "Africa", "Eastern Africa", ["Department of Mayotte"]],
+    ["ZA", "ZAF", 710, "South Africa", "Africa", "Southern Africa", ["Republic of South Africa", "Suid-Afrika"]],
+    ["ZM", "ZMB", 894, "Zambia", "Africa", "Eastern Africa", ["Republic of Zambia"]],
+    ["ZW", "ZWE", 716, "Zimbabwe", "Africa", "Eastern Africa", ["Republic of Zimbabwe"]],
+  ];
+
+  // Spellings seen in GeoIP data that the ISO aliases above don't cover
+  const EXTRA_ALIASES = {
+    "Turkey": "TR",
+    "Taiwan, Province of China": "TW",
+    "Korea": "KR",
+    "Hong Kong SAR": "HK",
+    "Macao SAR": "MO",
+    "UK": "GB",
+  };
+
+  const COUNTRIES = ISO_COUNTRIES.map(([code, alpha3, numeric, name, continent, region, aliases]) => ({ code, alpha3, numeric, name, continent, region, aliases }));
+  const BY_CODE = Object.fromEntries(COUNTRIES.map(c => [c.code, c]));
+
+  // Case, accents, punctuation and a leading "the" don't matter
+  const normalize = (s) => String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ").trim().replace(/^the /, "");
+
+  const INDEX = new Map();
+  for (const c of COUNTRIES) {
+    for (const key of [c.code, c.alpha3, c.name, ...c.aliases]) if (!INDEX.has(normalize(key))) INDEX.set(normalize(key), c);
+  }
+  for (const [alias, code] of Object.entries(EXTRA_ALIASES)) INDEX.set(normalize(alias), BY_CODE[code]);
+
+  // ISO entry for a country name, alias or alpha-2/alpha-3 code; null when unrecognized
+  function lookupCountry(value) {
+    if (value == null || value === "") return null;
+    return INDEX.get(normalize(value)) || null;
+  }
+
+  const continentOf = (country) => lookupCountry(country)?.continent || UNKNOWN;
+  const regionOf = (country) => lookupCountry(country)?.region || UNKNOWN;
+  const countryCode = (country) => lookupCountry(country)?.code || null;
+
+  // Datacenter cluster of a validator: the same network (ASN) in the same city
+  function datacenterKey(v) {
+    const asn = v.asn || v.asnOrg;
+    return asn && v.city ? `${asn}|${v.city}` : null;
+  }
+
+  // Country, continent, region and datacenter breakdown of [{ country, city, asn, asnOrg }]
+  // weighted by stakeOf(v). Lists are [{ name, count, stake, pct }] sorted by stake, the
+  // shape the collectors already use; pct is a string with two decimals.
+  function geoBreakdown(validators, stakeOf = (v) => v.stake, { topDatacenters = 20 } = {}) {
+    const rows = validators.filter(v => stakeOf(v) > 0);
+    const total = rows.reduce((s, v) => s + stakeOf(v), 0);
+    const groups = { countries: {}, continents: {}, regions: {}, datacenters: {} };
+    const unresolved = new Set();
+    let resolvedStake = 0;
+    const add = (bucket, key, v, extra) => {
+      const g = bucket[key] || (bucket[key] = { name: key, ...extra, count: 0, stake: 0 });
+      g.count++;
+      g.stake += stakeOf(v);
+    };
+    for (const v of rows) {
+      const c = lookupCountry(v.country);
+      if (c) resolvedStake += stakeOf(v);
+      else if (v.country) unresolved.add(v.country);
+      add(groups.countries, c ? c.name : UNKNOWN, v, { code: c ? c.code : null });
+      add(groups.continents, c ? c.continent : UNKNOWN, v);
+      add(groups.regions, c ? c.region : UNKNOWN, v);
+      const dc = datacenterKey(v);
+      if (dc) add(groups.datacenters, dc, v, { asn: v.asn || null, asnOrg: v.asnOrg || null, city: v.city, country: c ? c.name : v.country || null });
+    }
+    const sorted = (obj) => Object.values(obj)
+      .map(g => ({ ...g, pct: total > 0 ? (g.stake / total * 100).toFixed(2) : "0.00" }))
+      .sort((a, b) => b.stake - a.stake);
+    const datacenters = sorted(groups.datacenters);
+    return {
+      countries: sorted(groups.countries),
+      continents: sorted(groups.continents),
+      regions: sorted(groups.regions),
+      datacenters: datacenters.slice(0, topDatacenters),
+      datacenterCount: datacenters.length,
+      coverage: total > 0 ? +(resolvedStake / total).toFixed(4) : 0,
+      unresolved: [...unresolved].sort(),
+    };
+  }
+
+  // Stake-shaded SVG world map (equirectangular, Antarctica cropped) of a
+  // FeatureCollection from assets/countries-110m.geojson. `countries` is a
+  // geoBreakdown-style list; entries without a code are resolved by name.
+  function choroplethSvg(geojson, countries, { width = 960, color = "88,166,255", empty = "#21262d", stroke = "#30363d" } = {}) {
+    const byNumeric = {};
+    let max = 0;
+    for (const c of countries) {
+      const iso = (c.code && BY_CODE[c.code]) || lookupCountry(c.name);
+      if (!iso) continue;
+      byNumeric[iso.numeric ?? iso.name] = c;
+      max = Math.max(max, parseFloat(c.pct));
+    }
+    const top = 84, bottom = -58;
+    const scale = width / 360, height = Math.round((top - bottom) * scale);
+    const point = ([lon, lat]) => `${((lon + 180) * scale).toFixed(1)},${((top - lat) * scale).toFixed(1)}`;
+    const ring = (r) => `M${r.map(point).join("L")}Z`;
+    const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+    const paths = geojson.features.map(f => {
+      const polys = f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates;
+      const hit = byNumeric[f.id != null ? Number(f.id) : lookupCountry(f.properties.name)?.name];
+      // Square-root scale so the long tail of small countries stays visible next to the leaders
+      const alpha = hit && max > 0 ? 0.15 + 0.85 * Math.sqrt(parseFloat(hit.pct) / max) : 0;
+      const fill = hit ? `rgba(${color},${alpha.toFixed(3)})` : empty;
+      const title = hit ? `${hit.name}: ${hit.pct}% · ${hit.count} validator${hit.count === 1 ? "" : "s"}` : f.properties.name;
+      return `<path d="${polys.map(p => p.map(ring).join("")).join("")}" fill="${fill}" stroke="${stroke}" stroke-width="0.5"><title>${esc(title)}</title></path>`;
+    });
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">${paths.join("")}</svg>`;
+  }
+
+  return { UNKNOWN, COUNTRIES, lookupCountry, continentOf, regionOf, countryCode, datacenterKey, geoBreakdown, choroplethSvg };
+});
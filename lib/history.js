@@ -0,0 +1,127 @@
+// Folds the canonical epoch snapshots (lib/snapshots.js) into a compact per-epoch time series
+const path = require("path");
+const metrics = require("./metrics");
+const clients = require("./clients");
+const { listSnapshots, readSnapshot, writeJson } = require("./snapshots");
+const { createLogger } = require("./log");
+
+const round = (v, d = 4) => (v == null || !isFinite(v) ? null : +v.toFixed(d));
+
+// One history point from a full SFDP snapshot. Snapshots from before client
+// identification only carry versions; those are run through `clientTable`.
+// `thresholds` are metrics.loadOptions() (config/metrics.json).
+function summarizeSnapshot(snap, clientTable = clients.loadTable(), thresholds = metrics.loadOptions()) {
+  const accounts = Object.values(snap.accounts || {});
+  const c = snap.combined || {};
+
+  // Recompute combined metrics from per-authority validators so older snapshots
+  // (which only carried combined Nakamoto) get the same measures as new ones
+  const byVoter = {};
+  const clientOf = {};
+  let jitoStake = 0;
+  for (const a of accounts) {
+    for (const v of a.validators || []) {
+      if (!(v.activeStake > 0)) continue;
+      byVoter[v.voter] = (byVoter[v.voter] || 0) + v.activeStake;
+      if (v.isJito) jitoStake += v.activeStake;
+      clientOf[v.voter] = { version: v.version, client: v.client || clients.identifyClient(clientTable, v).id };
+    }
+  }
+  const stakes = Object.values(byVoter);
+  const total = stakes.reduce((s, v) => s + v, 0);
+  const dec = metrics.analyze(stakes, thresholds).decentralization;
+  const compliance = c.commissionCompliance || {};
+  const fvn = c.foundationVsNetwork || {};
+  const sfdpClients = clients.clientDiversity(clientTable, Object.entries(byVoter).map(([voter, stake]) => ({ ...clientOf[voter], stake })));
+  const networkClients = c.clientDiversity?.network;
+
+  const perAuthority = {};
+  for (const [key, a] of Object.entries(snap.accounts || {})) {
+    perAuthority[key] = {
+      totalActive: round(a.totalActive, 2),
+      activeValidators: a.activeValidators,
+      nakamoto: a.decentralization?.nakamotoCoeff33 ?? null,
+    };
+  }
+
+  return {
+    epoch: snap.epoch,
+    slot: snap.slot,
+    timestamp: snap.timestamp,
+    totalSfdpStake: round(total, 2),
+    activeValidators: stakes.length,
+    nakamoto: dec.nakamotoCoeff33,
+    hhi: round(dec.hhi, 6),
+    gini: round(dec.gini),
+    jitoPct: total > 0 ? round(jitoStake / total * 100, 2) : null,
+    top3ASNPct: c.infraConcentration ? round(parseFloat(c.infraConcentration.top3ASNPct), 2) : null,
+    commissionViolations: (compliance.highCommissionCount || 0) + (compliance.jitoOverCapCount || 0),
+    sfdpPctOfNetwork: fvn.sfdpPctOfTracked != null ? round(parseFloat(fvn.sfdpPctOfTracked), 2) : null,
+    networkValidators: snap.networkValidators ?? null,
+    clientNakamoto: sfdpClients.clientNakamoto,
+    topClientFamilyPct: round(sfdpClients.topFamilyPct, 2),
+    networkClientNakamoto: networkClients?.clientNakamoto ?? null,
+    networkTopClientFamilyPct: round(networkClients?.topFamilyPct, 2),
+    voteEffectiveness: c.performance?.sfdp.weightedEffectiveness ?? null,
+    networkVoteEffectiveness: c.performance?.network.weightedEffectiveness ?? null,
+    authorities: perAuthority,
+  };
+}
+
+// Columns of each per-validator history row (data/validator-history.json)
+const VALIDATOR_FIELDS = [
+  "epoch", "stakeByAuthority", "networkStake", "commission", "jitoCommission",
+  "version", "skipRate", "delinquent", "compliance", "tvcEffectiveness",
+];
+
+// Adds one row per SFDP validator in `snap` to `series` ({ voter: [row, ...] })
+function addValidatorRows(series, snap) {
+  const rows = {};
+  for (const [key, a] of Object.entries(snap.accounts || {})) {
+    for (const v of a.validators || []) {
+      if (!(v.activeStake > 0)) continue;
+      const r = rows[v.voter] || (rows[v.voter] = {
+        name: v.name || null,
+        row: [snap.epoch, {}, round(v.totalNetworkStake, 2), v.commission ?? null, v.jitoCommission ?? null,
+          v.version || null, round(v.skipRate, 3), !!v.delinquent, null, v.tvcEffectiveness ?? null],
+      });
+      r.row[1][key] = round(v.activeStake, 2);
+    }
+  }
+  for (const v of snap.compliance?.validators || []) if (rows[v.voter]) rows[v.voter].row[8] = v.status;
+  for (const [voter, { name, row }] of Object.entries(rows)) {
+    const s = series[voter] || (series[voter] = { name, rows: [] });
+    if (name) s.name = name;
+    s.rows.push(row);
+  }
+}
+
+// Snapshots that can't be read are skipped with a warning on `log`
+function buildHistory(dataDir, { log = createLogger() } = {}) {
+  const epochs = [];
+  const validators = {};
+  const clientTable = clients.loadTable();
+  const thresholds = metrics.loadOptions();
+  for (const { file } of listSnapshots(dataDir)) {
+    try {
+      const snap = readSnapshot(file, { clientTable });
+      epochs.push(summarizeSnapshot(snap, clientTable, thresholds));
+      addValidatorRows(validators, snap);
+    } catch (e) {
+      log.warn(`  Skipping ${path.basename(file)}: ${e.message}`, { file, error: e.message });
+    }
+  }
+  const generatedAt = new Date().toISOString();
+  return { history: { generatedAt, epochs }, validatorHistory: { generatedAt, fields: VALIDATOR_FIELDS, validators } };
+}
+
+// Writes data/history.json and data/validator-history.json
+function writeHistory(dataDir, { log } = {}) {
+  const { history, validatorHistory } = buildHistory(dataDir, { log });
+  const outPath = path.join(dataDir, "history.json");
+  writeJson(outPath, history);
+  writeJson(path.join(dataDir, "validator-history.json"), validatorHistory);
+  return { outPath, history, validatorHistory };
+}
+
+module.exports = { summarizeSnapshot, addValidatorRows, buildHistory, writeHistory, VALIDATOR_FIELDS };
@@ -0,0 +1,91 @@
+// Inputs shared by the SFDP and network collectors, fetched once per run with the
+// independent RPC calls in flight together, plus per-phase timing of a run
+const path = require("path");
+const { getStakeHistory } = require("./stake");
+const { loadMetadata } = require("./metadata");
+const { createLogger } = require("./log");
+
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "data");
+
+// Times named phases of a run: `await timer.phase(name, fn)` for work that may overlap,
+// `timer.lap(name)` for the time since the previous lap. summary() is { totalMs, phases: { name: ms } }
+function createTimer(now = Date.now) {
+  const started = now();
+  let last = started;
+  const phases = {};
+  return {
+    async phase(name, fn) {
+      const t = now();
+      try {
+        return await fn();
+      } finally {
+        phases[name] = now() - t;
+      }
+    },
+    lap(name) {
+      const t = now();
+      phases[name] = t - last;
+      last = t;
+    },
+    summary: () => ({ totalMs: now() - started, phases: { ...phases } }),
+  };
+}
+
+// "1.2s (voteAccounts 900ms, metadata 1100ms)" for logs
+const formatTimings = (t) => `${(t.totalMs / 1000).toFixed(1)}s (${Object.entries(t.phases).map(([k, ms]) => `${k} ${ms}ms`).join(", ")})`;
+
+// Epoch info, vote accounts, gossip nodes, block production, stake history and merged
+// validator metadata. The metadata providers get the RPC results as promises, so
+// Stakewiz is fetched while the RPC calls are still running. `metadataOptions` go to
+// loadMetadata (provider options, cache); `now` is the clock, frozen when replaying a fixture.
+// Returns { epochInfo, voteAccounts, clusterNodes, blockProduction, stakeHistory, meta, timings }
+async function fetchInputs({
+  client,
+  outDir = DEFAULT_DATA_DIR,
+  metadataSources,
+  stakeHistory = true,
+  metadataOptions = {},
+  now = Date.now,
+  log = createLogger(),
+} = {}) {
+  const rpc = client.call;
+  const timer = createTimer(now);
+  log.info("Fetching epoch info, vote accounts, cluster nodes, block production and metadata...");
+  const call = (name, method, params) => timer.phase(name, () => rpc(method, params));
+  const voteAccountsP = call("voteAccounts", "getVoteAccounts", [{ commitment: "confirmed" }]);
+  const clusterNodesP = call("clusterNodes", "getClusterNodes", []);
+  const [epochInfo, voteAccounts, clusterNodes, blockProduction, history, meta] = await Promise.all([
+    call("epochInfo", "getEpochInfo", []),
+    voteAccountsP,
+    clusterNodesP,
+    call("blockProduction", "getBlockProduction", [{ commitment: "confirmed" }]),
+    stakeHistory ? timer.phase("stakeHistory", () => getStakeHistory(rpc)) : null,
+    timer.phase("metadata", () => loadMetadata({
+      ...(metadataSources && { sources: metadataSources }),
+      cacheDir: path.join(outDir, "cache"),
+      ...metadataOptions,
+      ctx: { rpc, voteAccounts: voteAccountsP, clusterNodes: clusterNodesP },
+      now: now(),
+    })),
+  ]);
+  const timings = timer.summary();
+  log.info(`  Inputs in ${formatTimings(timings)}`, { timings });
+  return { epochInfo, voteAccounts, clusterNodes, blockProduction, stakeHistory: history, meta, timings };
+}
+
+// { identity: { leaderSlots, blocksProduced, skipRate } } from getBlockProduction
+function blockProductionMap(bp) {
+  const out = {};
+  for (const [id, [slots, blocks]] of Object.entries(bp.value?.byIdentity || {})) {
+    out[id] = { leaderSlots: slots, blocksProduced: blocks, skipRate: slots > 0 ? ((slots - blocks) / slots * 100) : 0 };
+  }
+  return out;
+}
+
+// Number of slots getBlockProduction's counts cover (the epoch so far); null when it gave no range
+function blockProductionSlots(bp) {
+  const r = bp.value?.range;
+  return r && r.lastSlot >= r.firstSlot ? r.lastSlot - r.firstSlot + 1 : null;
+}
+
+module.exports = { createTimer, formatTimings, fetchInputs, blockProductionMap, blockProductionSlots };
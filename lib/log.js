@@ -0,0 +1,17 @@
+// Logger for collectors and the CLI: plain text lines, or JSON lines with --json.
+// Warnings and errors go to stderr so stdout stays usable for command output.
+function createLogger({ json = false, out = process.stdout, err = process.stderr } = {}) {
+  const write = (level, msg, fields = {}) => {
+    const stream = level === "info" ? out : err;
+    if (json) stream.write(JSON.stringify({ ts: new Date().toISOString(), level, msg: msg.trim(), ...fields }) + "\n");
+    else stream.write(msg + "\n");
+  };
+  return {
+    json,
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+  };
+}
+
+module.exports = { createLogger };
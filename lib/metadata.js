@@ -0,0 +1,277 @@
+// Pluggable validator-metadata providers
+//
+// Every provider returns records in one internal shape keyed by vote pubkey.
+// loadMetadata() merges providers in priority order, remembers which provider
+// supplied each field, and falls back to an on-disk last-known-good cache when
+// a provider fails.
+const fs = require("fs");
+const path = require("path");
+
+const FIELDS = [
+  "identity", "name", "version", "commission", "delinquent",
+  "country", "city", "asn", "asnOrg",
+  "isJito", "jitoCommissionBps", "skipRate", "wizScore", "apy",
+  "superminority", "asnConcentration", "cityConcentration", "stakeWeight",
+];
+
+// Git-ignored: the third-party responses stay out of the data commits (CI keeps them with actions/cache)
+const DEFAULT_CACHE_DIR = path.join(__dirname, "..", "data", "cache");
+const DEFAULT_MAX_AGE_HOURS = 24;
+
+// Provider names in priority order: METADATA_SOURCES (comma-separated), else Stakewiz then on-chain
+const sourcesFromEnv = (env = process.env) => (env.METADATA_SOURCES || "stakewiz,onchain").split(",").map(s => s.trim()).filter(Boolean);
+
+// --- Stakewiz ---------------------------------------------------------------
+
+// Accepted Stakewiz field names per internal field, first match wins
+const STAKEWIZ_FIELDS = {
+  identity: ["identity"],
+  name: ["name"],
+  version: ["version"],
+  commission: ["commission"],
+  delinquent: ["delinquent"],
+  country: ["ip_country", "country"],
+  city: ["ip_city", "city"],
+  asn: ["ip_asn", "asn"],
+  asnOrg: ["ip_org", "asn_org"],
+  isJito: ["is_jito"],
+  jitoCommissionBps: ["jito_commission_bps"],
+  skipRate: ["wiz_skip_rate", "skip_rate"],
+  wizScore: ["wiz_score"],
+  apy: ["total_apy", "apy_estimate"],
+  superminority: ["superminority_penalty"],
+  asnConcentration: ["asn_concentration"],
+  cityConcentration: ["city_concentration"],
+  stakeWeight: ["stake_weight"],
+};
+
+function stakewizProvider({ url = "https://api.stakewiz.com/validators", fetch = globalThis.fetch, timeoutMs = 30000 } = {}) {
+  return {
+    name: "stakewiz",
+    cacheable: true,
+    async fetch() {
+      const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const rows = await res.json();
+      if (!Array.isArray(rows)) throw new Error("unexpected response (not an array)");
+
+      const validators = {};
+      const seen = Object.fromEntries(Object.keys(STAKEWIZ_FIELDS).map(f => [f, 0]));
+      for (const row of rows) {
+        if (!row.vote_identity) continue;
+        const rec = {};
+        for (const [field, keys] of Object.entries(STAKEWIZ_FIELDS)) {
+          const key = keys.find(k => row[k] !== undefined);
+          if (key === undefined) continue;
+          seen[field]++;
+          rec[field] = row[key];
+        }
+        if (rec.superminority != null) rec.superminority = rec.superminority > 0;
+        validators[row.vote_identity] = rec;
+      }
+      // Fields no row carried under any known name: Stakewiz likely renamed them
+      const missingFields = Object.keys(seen).filter(f => rows.length > 0 && seen[f] === 0);
+      return { validators, warnings: missingFields.length ? [`missing fields: ${missingFields.join(", ")}`] : [] };
+    },
+  };
+}
+
+// --- On-chain ----------------------------------------------------------------
+
+// Vote accounts, gossip versions and validator-info names straight from RPC
+function onchainProvider({ rpc } = {}) {
+  return {
+    name: "onchain",
+    cacheable: false,
+    async fetch(ctx = {}) {
+      const call = rpc || ctx.rpc;
+      if (!call) throw new Error("onchain provider needs an rpc function");
+      // Validator-info names are optional: without them the vote accounts still carry the rest
+      let infoError = null;
+      const [voteAccounts, nodes, infos] = await Promise.all([
+        ctx.voteAccounts || call("getVoteAccounts", [{ commitment: "confirmed" }]),
+        ctx.clusterNodes || call("getClusterNodes", []),
+        call("getProgramAccounts", ["Config1111111111111111111111111111111111111", { encoding: "jsonParsed" }]).catch((e) => {
+          infoError = e;
+          return [];
+        }),
+      ]);
+
+      const versionByIdentity = Object.fromEntries(nodes.map(n => [n.pubkey, n.version]));
+      const nameByIdentity = {};
+      for (const acct of infos) {
+        const info = acct.account?.data?.parsed;
+        if (info?.type !== "validatorInfo") continue;
+        const signer = info.info?.keys?.find(k => k.signer)?.pubkey;
+        const name = info.info?.configData?.name;
+        if (signer && name) nameByIdentity[signer] = name;
+      }
+
+      const validators = {};
+      for (const [list, delinquent] of [[voteAccounts.current || [], false], [voteAccounts.delinquent || [], true]]) {
+        for (const v of list) {
+          validators[v.votePubkey] = {
+            identity: v.nodePubkey,
+            name: nameByIdentity[v.nodePubkey] ?? null,
+            version: versionByIdentity[v.nodePubkey] ?? null,
+            commission: v.commission,
+            delinquent,
+          };
+        }
+      }
+      if (!infoError) return { validators, warnings: [] };
+      return { validators, warnings: [`validator-info names unavailable: ${infoError.message}`], failedFields: ["name"] };
+    },
+  };
+}
+
+// --- Local file ----------------------------------------------------------------
+
+// JSON file holding either { vote: record } or [{ vote, ...record }] in the internal shape
+function fileProvider({ file, readFile = (f) => fs.readFileSync(f, "utf8") } = {}) {
+  return {
+    name: "file",
+    cacheable: false,
+    async fetch() {
+      if (!file) throw new Error("file provider needs a path (METADATA_FILE)");
+      const raw = JSON.parse(readFile(file));
+      const validators = Array.isArray(raw)
+        ? Object.fromEntries(raw.filter(r => r.vote).map(({ vote, ...rec }) => [vote, rec]))
+        : raw;
+      return { validators, warnings: [] };
+    },
+  };
+}
+
+const PROVIDERS = { stakewiz: stakewizProvider, onchain: onchainProvider, file: fileProvider };
+
+function createProvider(name, opts = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown metadata source "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  return factory(opts);
+}
+
+// --- Cache ---------------------------------------------------------------------
+
+const cachePath = (dir, name) => path.join(dir, `metadata-${name}.json`);
+
+function readCache(dir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(cachePath(dir, name), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeCache(dir, name, entry) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = cachePath(dir, name);
+  fs.writeFileSync(file + ".tmp", JSON.stringify(entry));
+  fs.renameSync(file + ".tmp", file);
+}
+
+// Last-known-good store of one directory; loadMetadata takes any { read(name), write(name, entry) }
+const dirCache = (dir) => ({ read: (name) => readCache(dir, name), write: (name, entry) => writeCache(dir, name, entry) });
+
+const ageHours = (iso, now) => (now - Date.parse(iso)) / 3600000;
+
+// --- Merge ---------------------------------------------------------------------
+
+// Runs providers and merges them field by field in priority order. A provider that answered
+// without some of its fields lists them in its status as `failedFields`.
+// Returns { validators: { vote: record }, provenance: { vote: { field: source } }, status }
+async function loadMetadata({
+  sources = sourcesFromEnv(),
+  providerOpts = {},
+  ctx = {},
+  cacheDir = DEFAULT_CACHE_DIR,
+  cache = dirCache(cacheDir),
+  maxAgeHours = DEFAULT_MAX_AGE_HOURS,
+  now = Date.now(),
+} = {}) {
+  const status = {};
+
+  // Providers are fetched concurrently and merged in priority order
+  const names = sources.map(s => s.trim()).filter(Boolean);
+  const results = (await Promise.all(names.map(async (name) => {
+    const provider = createProvider(name, { file: process.env.METADATA_FILE, ...providerOpts[name] });
+    const st = status[name] = { ok: false, fetchedAt: null, ageHours: null, stale: false, fromCache: false, count: 0, warnings: [] };
+    try {
+      const { validators, warnings, failedFields = [] } = await provider.fetch(ctx);
+      const fetchedAt = new Date(now).toISOString();
+      Object.assign(st, { ok: true, fetchedAt, ageHours: 0, count: Object.keys(validators).length, warnings });
+      if (failedFields.length) st.failedFields = failedFields;
+      if (provider.cacheable) cache.write(name, { fetchedAt, validators });
+      return { source: name, validators };
+    } catch (e) {
+      st.error = e.message;
+      const cached = provider.cacheable ? cache.read(name) : null;
+      if (!cached) return null;
+      const age = ageHours(cached.fetchedAt, now);
+      Object.assign(st, { fetchedAt: cached.fetchedAt, ageHours: +age.toFixed(2), stale: age > maxAgeHours, fromCache: true, count: Object.keys(cached.validators).length });
+      return { source: `cache:${name}`, validators: cached.validators };
+    }
+  }))).filter(Boolean);
+
+  const validators = {};
+  const provenance = {};
+  for (const { source, validators: recs } of results) {
+    for (const [vote, rec] of Object.entries(recs)) {
+      const out = validators[vote] || (validators[vote] = {});
+      const prov = provenance[vote] || (provenance[vote] = {});
+      for (const field of FIELDS) {
+        if (out[field] != null || rec[field] == null) continue;
+        out[field] = rec[field];
+        prov[field] = source;
+      }
+    }
+  }
+
+  return { validators, provenance, status };
+}
+
+// Share of `voters` with a non-null value for each field (dashboard "missing metadata" view)
+function coverage(meta, voters) {
+  const out = {};
+  for (const field of FIELDS) {
+    const have = voters.filter(v => meta.validators[v]?.[field] != null).length;
+    out[field] = voters.length ? +(have / voters.length).toFixed(4) : 0;
+  }
+  return out;
+}
+
+// Summary written into collector output
+function metadataSummary(meta, voters) {
+  return {
+    sources: Object.keys(meta.status),
+    status: meta.status,
+    stale: Object.values(meta.status).some(s => s.stale),
+    degraded: Object.values(meta.status).some(s => !s.ok || s.failedFields?.length > 0),
+    coverage: coverage(meta, voters),
+  };
+}
+
+// One human-readable line per provider for collector logs
+function describeStatus(status) {
+  return Object.entries(status).map(([name, st]) => {
+    const how = st.ok ? (st.failedFields ? `ok, without ${st.failedFields.join(", ")}` : "ok")
+      : st.fromCache ? `FAILED (${st.error}), using cache from ${st.ageHours}h ago${st.stale ? " [STALE]" : ""}`
+      : `FAILED (${st.error}), no cache`;
+    return `${name}: ${st.count} validators, ${how}${st.warnings.length ? " — " + st.warnings.join("; ") : ""}`;
+  });
+}
+
+module.exports = {
+  FIELDS,
+  PROVIDERS,
+  sourcesFromEnv,
+  createProvider,
+  stakewizProvider,
+  onchainProvider,
+  fileProvider,
+  dirCache,
+  loadMetadata,
+  coverage,
+  metadataSummary,
+  describeStatus,
+};
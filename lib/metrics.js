@@ -0,0 +1,246 @@
+// Shared decentralization metrics used by every collector and the dashboards
+//
+// All functions take plain arrays of stake amounts (SOL). Thresholds and
+// bucket edges can be overridden per call via the `opts` argument of analyze().
+// UMD so the what-if simulator in the dashboards recomputes with the same code.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SFDPMetrics = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const DEFAULTS = {
+    // Share of total stake each Nakamoto coefficient must reach
+    nakamoto: { nakamotoCoeff33: 1 / 3, nakamotoCoeff66: 2 / 3 },
+    // Superminority line (validators that together can halt the cluster)
+    superminority: 0.33,
+    // Lower edges of stake buckets in SOL; the last bucket is open-ended
+    bucketEdges: [0, 1000, 10000, 50000, 100000, 500000, 1000000, 5000000],
+    percentiles: [10, 25, 75, 90],
+    topN: [1, 10, 20, 50],
+    lorenzPoints: 100,
+  };
+
+  // Options a config file may set; the rest shape the output and stay fixed
+  const CONFIGURABLE = ["nakamoto", "superminority"];
+
+  const sum = (arr) => arr.reduce((s, v) => s + v, 0);
+  const desc = (arr) => [...arr].sort((a, b) => b - a);
+  const asc = (arr) => [...arr].sort((a, b) => a - b);
+
+  // Smallest number of validators whose combined stake reaches `threshold` of total
+  function nakamoto(stakes, threshold = 1 / 3) {
+    const sorted = desc(stakes);
+    const total = sum(sorted);
+    if (total <= 0) return 0;
+    let running = 0, count = 0;
+    for (const s of sorted) {
+      running += s;
+      count++;
+      if (running >= total * threshold) break;
+    }
+    return count;
+  }
+
+  // Voters (largest first) making up the superminority
+  function superminoritySet(items, stakeOf, threshold = DEFAULTS.superminority) {
+    const sorted = [...items].sort((a, b) => stakeOf(b) - stakeOf(a));
+    const total = sum(sorted.map(stakeOf));
+    const out = [];
+    if (total <= 0) return out;
+    let running = 0;
+    for (const it of sorted) {
+      running += stakeOf(it);
+      out.push(it);
+      if (running >= total * threshold) break;
+    }
+    return out;
+  }
+
+  function hhi(stakes) {
+    const total = sum(stakes);
+    if (total <= 0) return 0;
+    return stakes.reduce((h, s) => h + (s / total) ** 2, 0);
+  }
+
+  function gini(stakes) {
+    const sorted = asc(stakes);
+    const n = sorted.length;
+    const total = sum(sorted);
+    if (n === 0 || total <= 0) return 0;
+    let acc = 0;
+    for (let i = 0; i < n; i++) acc += (2 * (i + 1) - n - 1) * sorted[i];
+    return acc / (n * total);
+  }
+
+  // Shannon entropy in bits, plus the same value normalized to [0, 1] by log2(n)
+  function shannonEntropy(stakes) {
+    const total = sum(stakes);
+    const n = stakes.filter((s) => s > 0).length;
+    if (total <= 0 || n === 0) return { entropy: 0, normalized: 0 };
+    let h = 0;
+    for (const s of stakes) {
+      if (s <= 0) continue;
+      const p = s / total;
+      h -= p * Math.log2(p);
+    }
+    return { entropy: h, normalized: n > 1 ? h / Math.log2(n) : 0 };
+  }
+
+  // Theil T index: 0 for perfect equality, ln(n) for maximal concentration
+  function theil(stakes) {
+    const pos = stakes.filter((s) => s > 0);
+    const n = pos.length;
+    if (n === 0) return 0;
+    const mean = sum(pos) / n;
+    return pos.reduce((t, s) => t + (s / mean) * Math.log(s / mean), 0) / n;
+  }
+
+  // Equivalent number of equally-staked validators (inverse HHI)
+  function effectiveValidators(stakes) {
+    const h = hhi(stakes);
+    return h > 0 ? 1 / h : 0;
+  }
+
+  // Lorenz curve as [populationShare, stakeShare] pairs, smallest holders first
+  function lorenzCurve(stakes, points = DEFAULTS.lorenzPoints) {
+    const sorted = asc(stakes);
+    const n = sorted.length;
+    const total = sum(sorted);
+    if (n === 0 || total <= 0) return [[0, 0], [1, 1]];
+    const prefix = [0];
+    for (const s of sorted) prefix.push(prefix[prefix.length - 1] + s);
+    const steps = Math.min(points, n);
+    const out = [];
+    for (let k = 0; k <= steps; k++) {
+      const idx = Math.round((k / steps) * n);
+      out.push([+(idx / n).toFixed(4), +(prefix[idx] / total).toFixed(4)]);
+    }
+    return out;
+  }
+
+  // Nearest-rank percentile over ascending stakes (p in 0..100): the smallest value with
+  // at least p% of the values at or below it
+  function percentile(stakes, p) {
+    const sorted = asc(stakes);
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((sorted.length * p) / 100);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+  }
+
+  const bucketLabel = (v) => (v >= 1e6 ? `${v / 1e6}M` : v >= 1e3 ? `${v / 1e3}K` : String(v));
+
+  function stakeBuckets(stakes, edges = DEFAULTS.bucketEdges) {
+    const buckets = edges.map((min, i) => {
+      const max = i + 1 < edges.length ? edges[i + 1] : null;
+      const label = i === 0 ? `<${bucketLabel(max)}` : max == null ? `${bucketLabel(min)}+` : `${bucketLabel(min)}-${bucketLabel(max)}`;
+      return { label, min, max, count: 0, stake: 0 };
+    });
+    for (const s of stakes) {
+      const b = buckets.find((b) => s >= b.min && (b.max == null || s < b.max));
+      if (b) { b.count++; b.stake += s; }
+    }
+    return buckets;
+  }
+
+  // Label of the bucket a single stake amount falls into
+  function bucketFor(stake, edges = DEFAULTS.bucketEdges) {
+    const b = stakeBuckets([stake], edges).find((b) => b.count > 0);
+    return b ? b.label : null;
+  }
+
+  function stakeStats(stakes, pcts = DEFAULTS.percentiles) {
+    const n = stakes.length;
+    const sorted = asc(stakes);
+    const stats = {
+      mean: n > 0 ? sum(sorted) / n : 0,
+      median: percentile(sorted, 50),
+      max: sorted[n - 1] || 0,
+      min: sorted[0] || 0,
+    };
+    for (const p of pcts) stats[`p${p}`] = percentile(sorted, p);
+    return stats;
+  }
+
+  function topShare(stakes, n) {
+    const total = sum(stakes);
+    if (total <= 0) return 0;
+    return (sum(desc(stakes).slice(0, n)) / total) * 100;
+  }
+
+  // Problems with thresholds read from a config file ({ nakamoto: { key: share }, superminority })
+  function validateOptions(spec) {
+    const errors = [];
+    const share = (at, v) => {
+      if (!(typeof v === "number" && v > 0 && v <= 1)) errors.push(`${at} must be a share of stake in (0, 1] (got ${JSON.stringify(v)})`);
+    };
+    if (spec === null || typeof spec !== "object" || Array.isArray(spec)) return ["expected an object"];
+    if (spec.nakamoto != null) {
+      if (typeof spec.nakamoto !== "object" || Array.isArray(spec.nakamoto)) errors.push("nakamoto must be an object of { field: share }");
+      else for (const [key, v] of Object.entries(spec.nakamoto)) share(`nakamoto.${key}`, v);
+    }
+    if (spec.superminority != null) share("superminority", spec.superminority);
+    for (const key of Object.keys(spec)) {
+      if (!CONFIGURABLE.includes(key)) errors.push(`unknown option "${key}" (configurable: ${CONFIGURABLE.join(", ")})`);
+    }
+    return errors;
+  }
+
+  // Thresholds from `file` (default: METRICS_CONFIG, then config/metrics.json) merged over
+  // DEFAULTS, for analyze() and superminoritySet(). Node only.
+  function loadOptions(file) {
+    const fs = require("fs");
+    file = file || process.env.METRICS_CONFIG || require("path").join(__dirname, "..", "config", "metrics.json");
+    const spec = JSON.parse(fs.readFileSync(file, "utf8"));
+    const errors = validateOptions(spec);
+    if (errors.length) throw new Error(`Invalid metrics config in ${file}:\n  ${errors.join("\n  ")}`);
+    return { ...DEFAULTS, ...spec, nakamoto: { ...DEFAULTS.nakamoto, ...spec.nakamoto } };
+  }
+
+  // Full metric set for one stake distribution
+  function analyze(stakes, opts = {}) {
+    const o = { ...DEFAULTS, ...opts };
+    const active = stakes.filter((s) => s > 0);
+    const decentralization = {};
+    for (const [key, threshold] of Object.entries(o.nakamoto)) {
+      decentralization[key] = nakamoto(active, threshold);
+    }
+    const entropy = shannonEntropy(active);
+    Object.assign(decentralization, {
+      superminorityCount: nakamoto(active, o.superminority),
+      hhi: hhi(active),
+      gini: gini(active),
+      shannonEntropy: entropy.entropy,
+      normalizedEntropy: entropy.normalized,
+      theil: theil(active),
+      effectiveValidators: effectiveValidators(active),
+    });
+    for (const n of o.topN) {
+      decentralization[n === 1 ? "topValidatorPct" : `top${n}Pct`] = topShare(active, n);
+    }
+    return {
+      decentralization,
+      stakeStats: stakeStats(active, o.percentiles),
+      stakeBuckets: stakeBuckets(active, o.bucketEdges),
+      lorenzCurve: lorenzCurve(active, o.lorenzPoints),
+    };
+  }
+
+  return {
+    DEFAULTS,
+    validateOptions,
+    loadOptions,
+    analyze,
+    nakamoto,
+    superminoritySet,
+    hhi,
+    gini,
+    shannonEntropy,
+    theil,
+    effectiveValidators,
+    lorenzCurve,
+    percentile,
+    stakeBuckets,
+    bucketFor,
+    stakeStats,
+    topShare,
+  };
+});
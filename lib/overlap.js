@@ -0,0 +1,154 @@
+// SFDP delegations cross-referenced with the network's stake concentration
+//
+// Joins latest.json and network-latest.json by vote pubkey and reports how much SFDP
+// stake sits where the network is already concentrated: the superminority, the largest
+// validators, the largest ASNs and datacenters. For every SFDP validator it also
+// recomputes the network Nakamoto coefficient with that validator's SFDP stake taken
+// away (everything else fixed), so the delegations that hold the coefficient up or
+// drag it down stand out.
+// UMD; in the browser it needs SFDPMetrics and SFDPGeo loaded first.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./metrics"), require("./geo"));
+  else root.SFDPOverlap = factory(root.SFDPMetrics, root.SFDPGeo);
+})(typeof self !== "undefined" ? self : this, function (metrics, geo) {
+  const TOP_VALIDATORS = [10, 20];
+  const TOP_GROUPS = 3;
+
+  const sum = (xs) => xs.reduce((s, x) => s + x, 0);
+  const pct = (part, total) => (total > 0 ? +(part / total * 100).toFixed(2) : null);
+
+  // SFDP stake per vote account: { voter: { stake, byAuthority, name, superminority, fromProvider } }
+  function sfdpStakes(sfdp) {
+    const out = {};
+    for (const [key, a] of Object.entries(sfdp.accounts || {})) {
+      for (const v of a.validators || []) {
+        if (!(v.activeStake > 0)) continue;
+        const r = out[v.voter] || (out[v.voter] = { stake: 0, byAuthority: {}, name: null, superminority: false, fromProvider: false });
+        r.stake += v.activeStake;
+        r.byAuthority[key] = (r.byAuthority[key] || 0) + v.activeStake;
+        r.name = r.name || v.name || null;
+        r.superminority = r.superminority || !!v.superminority;
+        r.fromProvider = r.fromProvider || !!v.provenance?.superminority;
+      }
+    }
+    return out;
+  }
+
+  // SFDP share of a set of network validators
+  function share(rows) {
+    const stake = sum(rows.map(r => r.stake));
+    const sfdpStake = sum(rows.map(r => r.sfdpStake));
+    return {
+      validators: rows.length,
+      sfdpValidators: rows.filter(r => r.sfdpStake > 0).length,
+      stake,
+      sfdpStake,
+      sfdpPctOfGroup: pct(sfdpStake, stake),
+    };
+  }
+
+  // The `TOP_GROUPS` largest groups by network stake, with the SFDP stake inside each
+  function topGroups(rows, keyOf, sfdpTotal) {
+    const groups = new Map();
+    for (const r of rows) {
+      const k = keyOf(r);
+      if (!k) continue;
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(r);
+    }
+    const top = [...groups.entries()]
+      .map(([name, members]) => ({ name, ...share(members) }))
+      .sort((a, b) => b.stake - a.stake)
+      .slice(0, TOP_GROUPS)
+      .map(g => ({ ...g, sfdpPctOfSfdp: pct(g.sfdpStake, sfdpTotal) }));
+    const sfdpStake = sum(top.map(g => g.sfdpStake));
+    return { groups: top, sfdpStake, sfdpPctOfSfdp: pct(sfdpStake, sfdpTotal) };
+  }
+
+  // Network Nakamoto at `threshold` with `removed` SFDP stake taken off the validator at `index`
+  function nakamotoWithout(stakes, index, removed, threshold) {
+    return metrics.nakamoto(stakes.map((s, i) => (i === index ? s - removed : s)), threshold);
+  }
+
+  // Cross-reference of `sfdp` (latest.json) and `network` (network-latest.json). `thresholds`
+  // (metrics.loadOptions() in Node) set the Nakamoto share, as they did for the collectors'
+  // nakamotoCoeff33; without them it is metrics' default.
+  function crossReference(sfdp, network, thresholds = {}) {
+    const threshold = thresholds.nakamoto?.nakamotoCoeff33;
+    const bySfdp = sfdpStakes(sfdp);
+    const superminority = new Set(network.superminorityVoters || network.validators.filter(v => v.isSuperminority).map(v => v.voter));
+    const rows = network.validators
+      .filter(v => v.stake > 0)
+      .map(v => ({
+        voter: v.voter,
+        name: v.name || bySfdp[v.voter]?.name || null,
+        stake: v.stake,
+        sfdpStake: Math.min(v.stake, bySfdp[v.voter]?.stake || 0),
+        asn: v.asnOrg || v.asn || null,
+        datacenter: geo.datacenterKey(v),
+      }))
+      .sort((a, b) => b.stake - a.stake);
+    const matched = new Set(rows.map(r => r.voter));
+    const unmatched = Object.keys(bySfdp).filter(voter => !matched.has(voter));
+    const sfdpTotal = sum(rows.map(r => r.sfdpStake));
+    const networkTotal = sum(rows.map(r => r.stake));
+
+    const stakes = rows.map(r => r.stake);
+    const baseline = metrics.nakamoto(stakes, threshold);
+    const withoutSfdp = metrics.nakamoto(rows.map(r => r.stake - r.sfdpStake), threshold);
+
+    const validators = [];
+    rows.forEach((r, i) => {
+      if (!(r.sfdpStake > 0)) return;
+      const s = bySfdp[r.voter];
+      const without = nakamotoWithout(stakes, i, r.sfdpStake, threshold);
+      validators.push({
+        voter: r.voter,
+        name: r.name,
+        sfdpStake: r.sfdpStake,
+        byAuthority: s.byAuthority,
+        networkStake: r.stake,
+        sfdpPctOfStake: pct(r.sfdpStake, r.stake),
+        networkRank: i + 1,
+        superminority: superminority.has(r.voter),
+        // Stakewiz's superminority_penalty flag, when a provider supplied one
+        providerSuperminority: s.fromProvider ? s.superminority : null,
+        asn: r.asn,
+        datacenter: r.datacenter,
+        // Change in network Nakamoto if this validator lost its SFDP stake: positive when
+        // the delegation adds to concentration, negative when it holds the coefficient up
+        nakamotoWithout: without,
+        nakamotoDelta: without - baseline,
+      });
+    });
+
+    const inSuperminority = rows.filter(r => superminority.has(r.voter));
+    return {
+      epoch: sfdp.epoch,
+      networkEpoch: network.epoch,
+      sfdpStake: sfdpTotal,
+      networkStake: networkTotal,
+      sfdpPctOfNetwork: pct(sfdpTotal, networkTotal),
+      unmatched,
+      superminority: { ...share(inSuperminority), sfdpPctOfSfdp: pct(sum(inSuperminority.map(r => r.sfdpStake)), sfdpTotal) },
+      topValidators: TOP_VALIDATORS.map(n => {
+        const s = share(rows.slice(0, n));
+        return { n, ...s, sfdpPctOfSfdp: pct(s.sfdpStake, sfdpTotal) };
+      }),
+      topAsns: topGroups(rows, r => r.asn, sfdpTotal),
+      topDatacenters: topGroups(rows, r => r.datacenter, sfdpTotal),
+      // Validators where the provider's superminority flag and the network's disagree
+      flagMismatches: validators.filter(v => v.providerSuperminority != null && v.providerSuperminority !== v.superminority).map(v => v.voter),
+      nakamoto: {
+        network: baseline,
+        withoutSfdp,
+        concentrating: validators.filter(v => v.nakamotoDelta > 0).length,
+        supporting: validators.filter(v => v.nakamotoDelta < 0).length,
+      },
+      // Most concentrating first
+      validators: validators.sort((a, b) => b.nakamotoDelta - a.nakamotoDelta || b.sfdpStake - a.sfdpStake),
+    };
+  }
+
+  return { TOP_VALIDATORS, TOP_GROUPS, crossReference };
+});
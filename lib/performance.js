@@ -0,0 +1,122 @@
+// Vote performance from getVoteAccounts
+//
+// Credits come from each vote account's epochCredits ([epoch, credits, previousCredits]).
+// With timely vote credits a vote earns more the sooner it lands, so the best voter of
+// the cluster sets what was achievable in an epoch: effectiveness is a validator's
+// credits as a percentage of that maximum. Scores use the last completed epoch, since
+// the current one is still being voted on. Vote latency is how many slots the last
+// vote trails the current slot; delinquency streaks carry over from the previous snapshot.
+const metrics = require("./metrics");
+
+// Effectiveness (% of the cluster maximum) below which a validator counts as a low performer
+const LOW_EFFECTIVENESS_PCT = 90;
+// Completed epochs of credits kept per SFDP validator
+const CREDIT_EPOCHS = 5;
+
+const round = (v, d = 2) => (v == null || !isFinite(v) ? null : +v.toFixed(d));
+const median = (xs) => (xs.length ? metrics.percentile(xs, 50) : null);
+
+// Credits earned per epoch, [[epoch, credits], ...] oldest first
+const earnedCredits = (epochCredits = []) => epochCredits.map(([epoch, credits, prev]) => [epoch, credits - prev]);
+
+// Credits in `epoch`: 0 when the account voted before but not then, null when it has no earlier record
+function creditsIn(earned, epoch) {
+  const hit = earned.find(([e]) => e === epoch);
+  if (hit) return hit[1];
+  return earned.some(([e]) => e < epoch) ? 0 : null;
+}
+
+// Per vote account: { voteCredits, creditHistory, tvcEffectiveness, creditsRank, voteLatency }
+// scored on the epoch before `epoch`, with `slot` the current slot.
+// Returns { epoch, maxCredits, medianCredits, byVoter }
+function votePerformance(voteAccounts, { epoch, slot }) {
+  const scored = epoch - 1;
+  const accounts = [...(voteAccounts.current || []), ...(voteAccounts.delinquent || [])];
+  const rows = accounts.map(va => {
+    const earned = earnedCredits(va.epochCredits).filter(([e]) => e <= scored);
+    return {
+      voter: va.votePubkey,
+      voteCredits: creditsIn(earned, scored),
+      creditHistory: earned.slice(-CREDIT_EPOCHS),
+      voteLatency: va.lastVote > 0 ? Math.max(0, slot - va.lastVote) : null,
+    };
+  });
+
+  const credits = rows.map(r => r.voteCredits).filter(c => c != null);
+  const maxCredits = credits.length ? Math.max(...credits) : null;
+  // Competition ranking: equal credits share a rank
+  const rankOf = new Map();
+  [...credits].sort((a, b) => b - a).forEach((c, i) => { if (!rankOf.has(c)) rankOf.set(c, i + 1); });
+
+  const byVoter = {};
+  for (const r of rows) {
+    byVoter[r.voter] = {
+      voteCredits: r.voteCredits,
+      creditHistory: r.creditHistory,
+      tvcEffectiveness: r.voteCredits != null && maxCredits > 0 ? round(r.voteCredits / maxCredits * 100) : null,
+      creditsRank: r.voteCredits != null ? rankOf.get(r.voteCredits) : null,
+      voteLatency: r.voteLatency,
+    };
+  }
+  return { epoch: scored, maxCredits, medianCredits: median(credits), byVoter };
+}
+
+// { voter: delinquentStreak } from a previous SFDP snapshot or network-latest.json. Files
+// from before streaks were tracked count a delinquent validator as one epoch in.
+function delinquencyStreaks(previous) {
+  const out = {};
+  const records = [...Object.values(previous?.accounts || {}).flatMap(a => a.validators || []), ...(previous?.validators || [])];
+  for (const v of records) {
+    const streak = v.delinquentStreak ?? (v.delinquent ? 1 : 0);
+    out[v.voter] = Math.max(out[v.voter] || 0, streak);
+  }
+  return out;
+}
+
+// Non-zero streaks a network run of `epoch` continues from. network-latest.json is rewritten
+// on every run, so a rerun within the same epoch reuses the `previousStreaks` its file kept
+// instead of counting the epoch twice.
+function streakBase(previous, epoch) {
+  if (!previous || previous.epoch > epoch) return {};
+  if (previous.epoch === epoch) return previous.previousStreaks || {};
+  return Object.fromEntries(Object.entries(delinquencyStreaks(previous)).filter(([, s]) => s > 0));
+}
+
+// Consecutive snapshot epochs a validator has been delinquent, this one included
+const delinquentStreak = (delinquent, previousStreak = 0) => (delinquent ? previousStreak + 1 : 0);
+
+// Summary of [{ tvcEffectiveness, voteLatency, delinquent, delinquentStreak }] over validators
+// with stake, effectiveness weighted by `stakeOf`. The streak fields are null when the
+// records carry no delinquentStreak.
+function performanceSummary(validators, stakeOf = v => v.stake) {
+  const staked = validators.filter(v => stakeOf(v) > 0);
+  const streaks = staked.map(v => v.delinquentStreak).filter(s => s != null);
+  const tracked = streaks.length > 0;
+  const rated = staked.filter(v => v.tvcEffectiveness != null);
+  const total = rated.reduce((s, v) => s + stakeOf(v), 0);
+  const low = rated.filter(v => v.tvcEffectiveness < LOW_EFFECTIVENESS_PCT);
+  const lowStake = low.reduce((s, v) => s + stakeOf(v), 0);
+  return {
+    validators: rated.length,
+    weightedEffectiveness: total > 0 ? round(rated.reduce((s, v) => s + v.tvcEffectiveness * stakeOf(v), 0) / total) : null,
+    medianEffectiveness: median(rated.map(v => v.tvcEffectiveness)),
+    medianVoteLatency: median(staked.map(v => v.voteLatency).filter(l => l != null)),
+    delinquent: staked.filter(v => v.delinquent).length,
+    // Delinquent for 2+ epochs in a row, and the longest run
+    repeatDelinquent: tracked ? streaks.filter(s => s > 1).length : null,
+    longestDelinquentStreak: tracked ? Math.max(...streaks) : null,
+    lowPerformers: low.length,
+    lowPerformerStakePct: total > 0 ? round(lowStake / total * 100) : null,
+  };
+}
+
+module.exports = {
+  LOW_EFFECTIVENESS_PCT,
+  CREDIT_EPOCHS,
+  earnedCredits,
+  votePerformance,
+  delinquencyStreaks,
+  streakBase,
+  delinquentStreak,
+  performanceSummary,
+};
@@ -0,0 +1,258 @@
+// Prometheus/OpenMetrics exporter: renders the collected data as /metrics, either
+// from the latest files in a data directory or from periodic in-process collection
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { createLogger } = require("./log");
+
+const PREFIX = "sfdp_";
+const OPENMETRICS_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+const TEXT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+const num = (v) => (typeof v === "string" ? parseFloat(v) : v);
+
+// Collects samples into families: family(name, type, help).set(labels, value)
+function createRegistry() {
+  const families = new Map();
+  return {
+    family(name, type, help) {
+      const full = PREFIX + name;
+      if (!families.has(full)) families.set(full, { type, help, samples: [] });
+      const fam = families.get(full);
+      return {
+        set(labels, value) {
+          const v = num(value);
+          if (v == null || Number.isNaN(v)) return this;
+          fam.samples.push({ labels, value: typeof v === "boolean" ? Number(v) : v });
+          return this;
+        },
+      };
+    },
+    render({ openMetrics = true } = {}) {
+      const lines = [];
+      for (const [name, { type, help, samples }] of families) {
+        if (!samples.length) continue;
+        // OpenMetrics names the counter family without the _total suffix its samples carry
+        const sampleName = type === "counter" ? `${name}_total` : name;
+        const familyName = openMetrics ? name : sampleName;
+        lines.push(`# HELP ${familyName} ${help}`, `# TYPE ${familyName} ${type}`);
+        for (const { labels, value } of samples) {
+          const l = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",");
+          lines.push(`${sampleName}${l ? `{${l}}` : ""} ${value}`);
+        }
+      }
+      if (openMetrics) lines.push("# EOF");
+      return lines.join("\n") + "\n";
+    },
+  };
+}
+
+// Adds the metrics of latest.json (`sfdp`) and network-latest.json (`network`) to `reg`
+function addDataMetrics(reg, { sfdp, network }) {
+  const epoch = reg.family("epoch", "gauge", "Epoch of the collected data");
+  const collected = reg.family("collected_timestamp_seconds", "gauge", "When the data was collected");
+  // Families labelled by authority carry one sample per authority and no combined total, so sum() adds up
+  const active = reg.family("active_stake_sol", "gauge", "Active SFDP stake per authority");
+  const activating = reg.family("activating_stake_sol", "gauge", "Activating SFDP stake per authority");
+  const deactivating = reg.family("deactivating_stake_sol", "gauge", "Deactivating SFDP stake per authority");
+  const validators = reg.family("validators", "gauge", "Validators with active stake");
+  const delinquent = reg.family("delinquent_validators", "gauge", "Delinquent validators");
+  const nakamoto = reg.family("nakamoto_coefficient", "gauge", "Validators needed to reach 33% of stake");
+  const hhi = reg.family("hhi", "gauge", "Herfindahl-Hirschman index of stake");
+  const gini = reg.family("gini", "gauge", "Gini coefficient of stake");
+  const jito = reg.family("jito_stake_ratio", "gauge", "Share of stake on Jito validators");
+  const top3Asn = reg.family("top3_asn_stake_ratio", "gauge", "Share of stake in the three largest ASNs");
+  const clientStake = reg.family("client_stake_ratio", "gauge", "Share of stake per validator client");
+  const clientNakamoto = reg.family("client_nakamoto_coefficient", "gauge", "Client families needed to reach 33% of identified stake");
+  const voteEff = reg.family("vote_effectiveness_ratio", "gauge", "Stake-weighted vote credits relative to the cluster's best voter, last completed epoch");
+  const lowPerf = reg.family("low_performing_validators", "gauge", "Validators with stake below the vote effectiveness threshold");
+  const addPerformance = (scope, p) => {
+    if (!p) return;
+    voteEff.set({ scope }, p.weightedEffectiveness != null ? p.weightedEffectiveness / 100 : null);
+    lowPerf.set({ scope }, p.lowPerformers);
+  };
+  const phase = reg.family("collection_phase_seconds", "gauge", "Duration of each phase of the run that collected the data");
+  const addTimings = (source, t) => {
+    for (const [name, ms] of Object.entries(t?.phases || {})) phase.set({ source, phase: name }, ms / 1000);
+    for (const [name, ms] of Object.entries(t?.inputs?.phases || {})) phase.set({ source, phase: `inputs.${name}` }, ms / 1000);
+  };
+  const addClients = (scope, d) => {
+    if (!d?.clients) return;
+    for (const c of d.clients) clientStake.set({ scope, client: c.id || c.name }, num(c.pct) / 100);
+    clientNakamoto.set({ scope }, d.clientNakamoto);
+  };
+
+  if (sfdp) {
+    epoch.set({ source: "sfdp" }, sfdp.epoch);
+    collected.set({ source: "sfdp" }, Date.parse(sfdp.timestamp) / 1000);
+    addTimings("sfdp", sfdp.timings);
+    for (const [key, a] of Object.entries(sfdp.accounts)) {
+      const scope = { scope: key };
+      active.set({ authority: key }, a.totalActive);
+      activating.set({ authority: key }, a.totalActivating);
+      deactivating.set({ authority: key }, a.totalDeactivating);
+      validators.set(scope, a.activeValidators);
+      delinquent.set(scope, a.delinquentCount);
+      nakamoto.set(scope, a.decentralization?.nakamotoCoeff33);
+      hhi.set(scope, a.decentralization?.hhi);
+      gini.set(scope, a.decentralization?.gini);
+      if (a.jitoStats) jito.set(scope, num(a.jitoStats.pct) / 100);
+      addPerformance(key, a.performance);
+    }
+    const c = sfdp.combined;
+    const scope = { scope: "combined" };
+    const staked = new Set(Object.values(sfdp.accounts).flatMap(a => (a.validators || []).filter(v => v.activeStake > 0).map(v => v.voter)));
+    validators.set(scope, staked.size);
+    nakamoto.set(scope, c.nakamotoCoeff33);
+    hhi.set(scope, c.decentralization?.hhi);
+    gini.set(scope, c.decentralization?.gini);
+    if (c.infraConcentration) top3Asn.set(scope, num(c.infraConcentration.top3ASNPct) / 100);
+    addClients("combined", c.clientDiversity?.sfdp);
+    addPerformance("combined", c.performance?.sfdp);
+
+    if (sfdp.compliance) {
+      const s = sfdp.compliance.summary;
+      const byStatus = reg.family("compliance_validators", "gauge", "SFDP validators by worst compliance status");
+      for (const status of ["pass", "warn", "fail"]) byStatus.set({ status }, s[status]);
+      const byRule = reg.family("compliance_violations", "gauge", "SFDP validators warning or failing each compliance rule");
+      for (const [rule, counts] of Object.entries(s.byRule)) {
+        byRule.set({ rule, status: "warn" }, counts.warn).set({ rule, status: "fail" }, counts.fail);
+      }
+    }
+
+    if (sfdp.rewards) {
+      const r = sfdp.rewards;
+      const epochRewards = reg.family("epoch_rewards_sol", "gauge", "Inflation rewards on SFDP stake in the last completed epoch");
+      const apy = reg.family("realized_apy_percent", "gauge", "Realized APY of SFDP stake in the last completed epoch");
+      const cumulative = reg.family("cumulative_rewards_sol", "gauge", "Inflation rewards on SFDP stake since the start of the ledger");
+      for (const [key, t] of Object.entries(r.byAuthority)) {
+        epochRewards.set({ authority: key }, t.rewards);
+        apy.set({ scope: key }, t.apy);
+        cumulative.set({ authority: key }, r.cumulative.byAuthority[key]);
+      }
+      apy.set({ scope: "combined" }, r.combined.apy);
+    }
+
+    const vStake = reg.family("validator_stake_sol", "gauge", "Active SFDP stake delegated to a validator");
+    const vComm = reg.family("validator_commission_percent", "gauge", "Validator vote commission");
+    const seen = new Set();
+    for (const [key, a] of Object.entries(sfdp.accounts)) {
+      for (const v of a.validators || []) {
+        if (!(v.activeStake > 0)) continue;
+        vStake.set({ authority: key, vote: v.voter }, v.activeStake);
+        if (!seen.has(v.voter) && v.commission != null) vComm.set({ vote: v.voter }, v.commission);
+        seen.add(v.voter);
+      }
+    }
+  }
+
+  if (network) {
+    const scope = { scope: "network" };
+    epoch.set({ source: "network" }, network.epoch);
+    collected.set({ source: "network" }, Date.parse(network.timestamp) / 1000);
+    addTimings("network", network.timings);
+    reg.family("network_stake_sol", "gauge", "Total active stake on the network").set({}, network.totalStake);
+    validators.set(scope, network.validators.filter(v => v.stake > 0).length);
+    delinquent.set(scope, network.delinquentValidators);
+    nakamoto.set(scope, network.decentralization?.nakamotoCoeff33);
+    hhi.set(scope, network.decentralization?.hhi);
+    gini.set(scope, network.decentralization?.gini);
+    if (network.jitoStats) jito.set(scope, num(network.jitoStats.pct) / 100);
+    if (network.infraConcentration) top3Asn.set(scope, num(network.infraConcentration.top3ASNPct) / 100);
+    addClients("network", network.software);
+    addPerformance("network", network.performance);
+  }
+  return reg;
+}
+
+function renderMetrics(data, { openMetrics = true, exporter } = {}) {
+  const reg = addDataMetrics(createRegistry(), data);
+  if (exporter) {
+    reg.family("exporter_collections", "counter", "In-process collection runs by result")
+      .set({ result: "success" }, exporter.successes).set({ result: "failure" }, exporter.failures);
+    reg.family("exporter_last_success_timestamp_seconds", "gauge", "When in-process collection last succeeded")
+      .set({}, exporter.lastSuccess && exporter.lastSuccess / 1000);
+    reg.family("exporter_collection_duration_seconds", "gauge", "Duration of the last in-process collection run")
+      .set({}, exporter.lastDurationMs != null ? exporter.lastDurationMs / 1000 : null);
+  }
+  return reg.render({ openMetrics });
+}
+
+// Re-reads a JSON file only when its mtime changes
+function fileSource(file) {
+  let mtime = 0, value = null;
+  return () => {
+    if (!fs.existsSync(file)) return null;
+    const m = fs.statSync(file).mtimeMs;
+    if (m !== mtime) {
+      value = JSON.parse(fs.readFileSync(file, "utf8"));
+      mtime = m;
+    }
+    return value;
+  };
+}
+
+// Serves /metrics on `port`. Without `collect`, metrics come from latest.json and
+// network-latest.json in `dataDir`; with `collect` (async () => ({ sfdp, network })),
+// it runs every `intervalMs` and the last successful results are served.
+// Returns { server, close }
+function startExporter({ port = 9464, host, dataDir, collect, intervalMs = 30 * 60 * 1000, log = createLogger() } = {}) {
+  const readSfdp = fileSource(path.join(dataDir, "latest.json"));
+  const readNetwork = fileSource(path.join(dataDir, "network-latest.json"));
+  const state = { successes: 0, failures: 0, lastSuccess: null, lastDurationMs: null, data: { sfdp: null, network: null } };
+  let timer = null, closed = false;
+
+  async function runCollection() {
+    const started = Date.now();
+    try {
+      const data = await collect();
+      state.data = { sfdp: data.sfdp || state.data.sfdp, network: data.network || state.data.network };
+      state.successes++;
+      state.lastSuccess = Date.now();
+      log.info(`Collection finished in ${((Date.now() - started) / 1000).toFixed(1)}s`, { ms: Date.now() - started });
+    } catch (e) {
+      state.failures++;
+      log.error(`Collection failed: ${e.message}`);
+    }
+    state.lastDurationMs = Date.now() - started;
+    if (!closed) timer = setTimeout(runCollection, intervalMs);
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== "/metrics") {
+      res.writeHead(pathname === "/" ? 200 : 404, { "Content-Type": "text/plain" });
+      res.end(pathname === "/" ? "SFDP exporter — see /metrics\n" : "Not found\n");
+      return;
+    }
+    try {
+      const data = collect ? state.data : { sfdp: readSfdp(), network: readNetwork() };
+      const openMetrics = /application\/openmetrics-text/.test(req.headers.accept || "");
+      const body = renderMetrics(data, { openMetrics, exporter: collect && state });
+      res.writeHead(200, { "Content-Type": openMetrics ? OPENMETRICS_TYPE : TEXT_TYPE });
+      res.end(body);
+    } catch (e) {
+      log.error(`Scrape failed: ${e.message}`);
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(`${e.message}\n`);
+    }
+  });
+
+  server.listen(port, host, () => {
+    const addr = server.address();
+    log.info(`Serving /metrics on http://${host || "localhost"}:${addr.port} (${collect ? `collecting every ${intervalMs / 60000} min` : `from ${dataDir}`})`, { port: addr.port });
+  });
+  if (collect) runCollection();
+
+  return {
+    server,
+    close: () => new Promise((resolve) => {
+      closed = true;
+      clearTimeout(timer);
+      server.close(() => resolve());
+    }),
+  };
+}
+
+module.exports = { createRegistry, addDataMetrics, renderMetrics, startExporter };
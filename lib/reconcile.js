@@ -0,0 +1,91 @@
+// Staker vs withdraw authority reconciliation for foundation stake accounts
+//
+// Each authority is queried twice (staker at memcmp offset 12, withdrawer at 44).
+// Results are merged by stake account pubkey and tagged with the role the
+// authority holds on that account.
+
+const ROLES = { BOTH: "staker+withdrawer", STAKER: "staker", WITHDRAWER: "withdrawer" };
+
+function roleOf(inStaker, inWithdrawer) {
+  if (inStaker && inWithdrawer) return ROLES.BOTH;
+  return inStaker ? ROLES.STAKER : ROLES.WITHDRAWER;
+}
+
+// Merges getProgramAccounts results for one authority, adding `role` to each entry
+function mergeStakeAccounts(byStaker, byWithdrawer) {
+  const merged = new Map();
+  for (const acct of byStaker) merged.set(acct.pubkey, { ...acct, inStaker: true, inWithdrawer: false });
+  for (const acct of byWithdrawer) {
+    const prev = merged.get(acct.pubkey);
+    if (prev) prev.inWithdrawer = true;
+    else merged.set(acct.pubkey, { ...acct, inStaker: false, inWithdrawer: true });
+  }
+  return [...merged.values()].map(({ inStaker, inWithdrawer, ...acct }) => ({ ...acct, role: roleOf(inStaker, inWithdrawer) }));
+}
+
+// Flat per-account record kept in collector output
+function describeStakeAccount(acct) {
+  const info = acct.account?.data?.parsed?.info;
+  const del = info?.stake?.delegation;
+  return {
+    pubkey: acct.pubkey,
+    role: acct.role,
+    staker: info?.meta?.authorized?.staker || null,
+    withdrawer: info?.meta?.authorized?.withdrawer || null,
+    voter: del?.voter || null,
+    stake: del ? parseInt(del.stake) / 1e9 : 0,
+    lamports: (acct.account?.lamports || 0) / 1e9,
+    activationEpoch: del ? parseInt(del.activationEpoch) : null,
+    deactivationEpoch: del ? del.deactivationEpoch : null,
+  };
+}
+
+// Counts and stake per role for one authority
+function roleSummary(stakeAccounts) {
+  const out = {};
+  for (const role of Object.values(ROLES)) out[role] = { accounts: 0, stake: 0 };
+  for (const a of stakeAccounts) {
+    out[a.role].accounts++;
+    out[a.role].stake += a.stake;
+  }
+  return out;
+}
+
+// Cross-authority audit: which accounts have the foundation on only one side
+function reconcile(accountsByKey, authorities, nameOf = () => null) {
+  const labelFor = Object.fromEntries(Object.entries(authorities).map(([key, a]) => [a.authority, key]));
+  const seen = new Map();
+  for (const list of Object.values(accountsByKey)) {
+    for (const a of list) if (!seen.has(a.pubkey)) seen.set(a.pubkey, a);
+  }
+
+  const summary = { accounts: seen.size, consistent: 0, crossAuthority: 0, stakeOnly: 0, withdrawOnly: 0, stakeOnlySOL: 0, withdrawOnlySOL: 0 };
+  const mismatches = [];
+  for (const a of seen.values()) {
+    const stakerKey = labelFor[a.staker] || null;
+    const withdrawerKey = labelFor[a.withdrawer] || null;
+    let issue = null;
+    if (stakerKey && withdrawerKey) {
+      summary.consistent++;
+      if (stakerKey !== withdrawerKey) summary.crossAuthority++;
+      continue;
+    }
+    if (stakerKey) {
+      issue = "stake-only";
+      summary.stakeOnly++;
+      summary.stakeOnlySOL += a.stake;
+    } else {
+      issue = "withdraw-only";
+      summary.withdrawOnly++;
+      summary.withdrawOnlySOL += a.stake;
+    }
+    mismatches.push({
+      pubkey: a.pubkey, voter: a.voter, name: a.voter ? nameOf(a.voter) : null, stake: a.stake,
+      staker: a.staker, withdrawer: a.withdrawer, stakerAuthority: stakerKey, withdrawerAuthority: withdrawerKey, issue,
+    });
+  }
+  mismatches.sort((a, b) => b.stake - a.stake);
+  return { summary, mismatches };
+}
+
+module.exports = { ROLES, mergeStakeAccounts, describeStakeAccount, roleSummary, reconcile };
@@ -0,0 +1,115 @@
+// Plain summary of the collected data for `sfdp report`
+const fs = require("fs");
+const path = require("path");
+const metrics = require("./metrics");
+const { crossReference } = require("./overlap");
+
+function readJson(dataDir, file) {
+  const p = path.join(dataDir, file);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, "utf8")) : null;
+}
+
+// `metricsFile` as for the collectors (default: METRICS_CONFIG, then config/metrics.json)
+function buildReport(dataDir, { metricsFile } = {}) {
+  const D = readJson(dataDir, "latest.json");
+  const N = readJson(dataDir, "network-latest.json");
+  const CL = readJson(dataDir, "changelog.json");
+  const H = readJson(dataDir, "history.json");
+  if (!D && !N) throw new Error(`No collected data in ${dataDir}`);
+
+  const c = D?.combined;
+  const X = D && N ? crossReference(D, N, metrics.loadOptions(metricsFile)) : null;
+  return {
+    sfdp: D && {
+      epoch: D.epoch,
+      timestamp: D.timestamp,
+      totalActiveStake: c.totalActiveStake,
+      uniqueValidators: c.uniqueValidators,
+      nakamoto: c.nakamotoCoeff33,
+      hhi: c.decentralization?.hhi ?? null,
+      gini: c.decentralization?.gini ?? null,
+      pctOfNetwork: c.foundationVsNetwork?.sfdpPctOfTracked != null ? parseFloat(c.foundationVsNetwork.sfdpPctOfTracked) : null,
+      authorities: Object.fromEntries(Object.entries(D.accounts).map(([key, a]) => [key, {
+        totalActive: a.totalActive, activeValidators: a.activeValidators, nakamoto: a.decentralization?.nakamotoCoeff33 ?? null,
+      }])),
+      compliance: D.compliance ? { pass: D.compliance.summary.pass, warn: D.compliance.summary.warn, fail: D.compliance.summary.fail } : null,
+      reconciliation: D.reconciliation?.summary ?? null,
+      rewards: D.rewards ? {
+        epoch: D.rewards.epoch, rewards: D.rewards.combined.rewards, realizedApy: D.rewards.combined.apy,
+        cumulative: D.rewards.cumulative.total, cumulativeFromEpoch: D.rewards.cumulative.fromEpoch,
+      } : null,
+      economics: c.validatorEconomics?.breakEvenStakeSOL != null ? {
+        breakEvenStake: c.validatorEconomics.breakEvenStakeSOL, independent: c.validatorEconomics.independent,
+        sfdpDependent: c.validatorEconomics.sfdpDependent, unprofitable: c.validatorEconomics.unprofitable,
+      } : null,
+      clients: c.clientDiversity ? {
+        families: c.clientDiversity.sfdp.families.map(f => ({ name: f.name, pct: parseFloat(f.pct) })),
+        clientNakamoto: c.clientDiversity.sfdp.clientNakamoto, networkClientNakamoto: c.clientDiversity.network.clientNakamoto,
+        unrecognized: c.clientDiversity.network.unrecognized.length,
+      } : null,
+      metadataDegraded: !!(D.metadata?.degraded || D.metadata?.stale),
+    },
+    network: N && {
+      epoch: N.epoch,
+      timestamp: N.timestamp,
+      totalStake: N.totalStake,
+      totalValidators: N.totalValidators,
+      delinquentValidators: N.delinquentValidators,
+      nakamoto: N.decentralization.nakamotoCoeff33,
+      top3ASNPct: parseFloat(N.infraConcentration.top3ASNPct),
+    },
+    overlap: X && {
+      networkEpoch: X.networkEpoch,
+      superminorityPct: X.superminority.sfdpPctOfSfdp,
+      top10Pct: X.topValidators[0].sfdpPctOfSfdp,
+      top20Pct: X.topValidators[1].sfdpPctOfSfdp,
+      top3AsnPct: X.topAsns.sfdpPctOfSfdp,
+      top3DatacenterPct: X.topDatacenters.sfdpPctOfSfdp,
+      nakamoto: X.nakamoto.network,
+      nakamotoWithoutSfdp: X.nakamoto.withoutSfdp,
+      flagMismatches: X.flagMismatches.length,
+    },
+    changelog: CL && D && CL.toEpoch === D.epoch ? { fromEpoch: CL.fromEpoch, toEpoch: CL.toEpoch, ...CL.summary } : null,
+    historyEpochs: H?.epochs?.length ?? 0,
+  };
+}
+
+const sol = (n) => `${Math.round(n).toLocaleString("en-US")} SOL`;
+
+function formatReport(r) {
+  const lines = [];
+  const s = r.sfdp;
+  if (s) {
+    lines.push(`SFDP — epoch ${s.epoch} (${s.timestamp})`);
+    lines.push(`  Active stake:   ${sol(s.totalActiveStake)} across ${s.uniqueValidators} validators${s.pctOfNetwork != null ? ` (${s.pctOfNetwork}% of tracked network stake)` : ""}`);
+    lines.push(`  Nakamoto:       ${s.nakamoto}${s.hhi != null ? `, HHI ${s.hhi.toFixed(6)}, Gini ${s.gini.toFixed(4)}` : ""}`);
+    for (const [key, a] of Object.entries(s.authorities)) {
+      lines.push(`  ${key.padEnd(15)} ${sol(a.totalActive)}, ${a.activeValidators} validators, Nakamoto ${a.nakamoto}`);
+    }
+    if (s.compliance) lines.push(`  Compliance:     ${s.compliance.pass} pass, ${s.compliance.warn} warn, ${s.compliance.fail} fail`);
+    if (s.rewards) lines.push(`  Rewards:        ${sol(s.rewards.rewards)} in epoch ${s.rewards.epoch} (realized APY ${s.rewards.realizedApy ?? "-"}%), ${sol(s.rewards.cumulative)} since epoch ${s.rewards.cumulativeFromEpoch}`);
+    if (s.economics) lines.push(`  Economics:      break-even ${sol(s.economics.breakEvenStake)}; ${s.economics.independent} independent, ${s.economics.sfdpDependent} SFDP-dependent, ${s.economics.unprofitable} unprofitable`);
+    if (s.clients) lines.push(`  Clients:        ${s.clients.families.map(f => `${f.name} ${f.pct}%`).join(", ")}; client Nakamoto ${s.clients.clientNakamoto ?? "-"} (network ${s.clients.networkClientNakamoto ?? "-"})${s.clients.unrecognized ? `, ${s.clients.unrecognized} unrecognized versions` : ""}`);
+    if (s.reconciliation) lines.push(`  Reconciliation: ${s.reconciliation.stakeOnly} stake-only, ${s.reconciliation.withdrawOnly} withdraw-only accounts`);
+    if (s.metadataDegraded) lines.push("  Metadata:       degraded or stale (see latest.json metadata)");
+  }
+  if (r.changelog) {
+    const c = r.changelog;
+    lines.push(`Changes ${c.fromEpoch} → ${c.toEpoch}: +${c.added} / -${c.removed} validators, ${c.increased} increased, ${c.decreased} decreased, net ${c.netChange >= 0 ? "+" : ""}${sol(c.netChange)}`);
+  }
+  const n = r.network;
+  if (n) {
+    lines.push(`Network — epoch ${n.epoch} (${n.timestamp})`);
+    lines.push(`  ${sol(n.totalStake)} across ${n.totalValidators} validators (${n.delinquentValidators} delinquent), Nakamoto ${n.nakamoto}, top-3 ASN ${n.top3ASNPct}%`);
+  }
+  const x = r.overlap;
+  if (x) {
+    lines.push(`SFDP stake in network concentration${s && x.networkEpoch !== s.epoch ? ` (network data from epoch ${x.networkEpoch})` : ""}`);
+    lines.push(`  Superminority ${x.superminorityPct ?? "-"}%, top 10 ${x.top10Pct ?? "-"}%, top 20 ${x.top20Pct ?? "-"}%, top-3 ASNs ${x.top3AsnPct ?? "-"}%, top-3 datacenters ${x.top3DatacenterPct ?? "-"}% of SFDP stake`);
+    lines.push(`  Network Nakamoto ${x.nakamoto}, ${x.nakamotoWithoutSfdp} without SFDP stake${x.flagMismatches ? `; Stakewiz superminority flag disagrees for ${x.flagMismatches} validators` : ""}`);
+  }
+  lines.push(`History: ${r.historyEpochs} epochs stored`);
+  return lines;
+}
+
+module.exports = { buildReport, formatReport };
@@ -0,0 +1,137 @@
+// Realized inflation rewards for foundation stake accounts (getInflationReward),
+// annualized into realized APY per account, validator and authority
+const LAMPORTS_PER_SOL = 1e9;
+const ADDRESS_BATCH = 100; // addresses per getInflationReward call
+const MAX_BACKFILL_EPOCHS = 5; // missed epochs re-fetched when the ledger has gaps
+const SLOT_SECONDS = 0.4; // target slot time, used to annualize per-epoch returns
+
+const epochsPerYear = (slotsInEpoch, slotSeconds = SLOT_SECONDS) => (365.25 * 86400) / (slotsInEpoch * slotSeconds);
+
+// Compounded annual % from rewards earned on `stake` over one epoch
+const annualize = (rewards, stake, perYear) => (stake > 0 ? (Math.pow(1 + rewards / stake, perYear) - 1) * 100 : null);
+
+const round = (v, d = 4) => (v == null || !isFinite(v) ? null : +v.toFixed(d));
+
+// { pubkey: { amount, postBalance, commission, effectiveSlot } } for the accounts rewarded in `epoch`
+async function getInflationRewards(rpc, addresses, epoch) {
+  const chunks = [];
+  for (let i = 0; i < addresses.length; i += ADDRESS_BATCH) chunks.push(addresses.slice(i, i + ADDRESS_BATCH));
+  const results = (await Promise.all(chunks.map(c => rpc("getInflationReward", [c, { epoch }])))).flat();
+  const out = {};
+  results.forEach((r, i) => { if (r) out[addresses[i]] = r; });
+  return out;
+}
+
+// Rewards and the stake they were earned on (balance before the credit), in SOL
+function tally(accounts, perYear) {
+  let rewards = 0, stake = 0, n = 0;
+  for (const a of accounts) {
+    if (a.reward == null) continue;
+    rewards += a.reward;
+    stake += a.rewardStake;
+    n++;
+  }
+  return { rewards, stake, accounts: n, apy: round(annualize(rewards, stake, perYear)) };
+}
+
+// Per-voter realized rewards for a list of stake accounts carrying reward/rewardStake
+function validatorRewards(stakeAccounts, perYear) {
+  const byVoter = {};
+  for (const a of stakeAccounts) {
+    if (a.reward == null || !a.voter) continue;
+    (byVoter[a.voter] = byVoter[a.voter] || []).push(a);
+  }
+  return Object.fromEntries(Object.entries(byVoter).map(([voter, list]) => [voter, tally(list, perYear)]));
+}
+
+function appendLedger(ledger, entry) {
+  return [...ledger.filter(l => l.epoch !== entry.epoch), entry].sort((a, b) => a.epoch - b.epoch);
+}
+
+// Epochs from the ledger's first one to `toEpoch` that it has no entry for
+function missingEpochs(ledger, toEpoch) {
+  if (!ledger.length) return [];
+  const have = new Set(ledger.map(l => l.epoch));
+  const out = [];
+  for (let e = ledger[0].epoch; e <= toEpoch; e++) if (!have.has(e)) out.push(e);
+  return out;
+}
+
+// The ledger a snapshot hands to the next epoch: its own, or the one it carried over
+// when its rewards fetch failed
+const ledgerOf = (snap) => snap?.rewards?.ledger ?? snap?.rewardsMissing?.ledger ?? [];
+
+// Section for a run whose rewards fetch failed: the previous ledger carried over unchanged,
+// so the next run backfills `epoch` instead of starting the cumulative total over
+function missingRewards(previous, epoch, error) {
+  const ledger = ledgerOf(previous);
+  return { epoch, error, ledger, missingEpochs: missingEpochs(ledger, epoch) };
+}
+
+// Fetches rewards for the last completed epoch (plus missed epochs since `ledger`'s last one),
+// annotates every stake account in `stakeAccountsByKey` with `reward` and `rewardStake`, and
+// returns the snapshot's `rewards` section. Older epochs are fetched for the accounts held
+// now, so stake closed since then is missing from backfilled totals.
+async function collectRewards(rpc, { stakeAccountsByKey, currentEpoch, slotsInEpoch, ledger = [], estimates = {}, names = {} }) {
+  const perYear = epochsPerYear(slotsInEpoch);
+  const epoch = currentEpoch - 1;
+  const pubkeys = [...new Set(Object.values(stakeAccountsByKey).flat().map(a => a.pubkey))];
+
+  const lastKnown = ledger.length ? ledger[ledger.length - 1].epoch : epoch - 1;
+  const epochs = [];
+  for (let e = Math.max(lastKnown + 1, epoch - MAX_BACKFILL_EPOCHS + 1); e <= epoch; e++) epochs.push(e);
+  if (!epochs.includes(epoch)) epochs.push(epoch);
+
+  for (const e of epochs) {
+    const rewards = await getInflationRewards(rpc, pubkeys, e);
+    const perAuthority = {};
+    for (const [key, accounts] of Object.entries(stakeAccountsByKey)) {
+      perAuthority[key] = accounts.reduce((s, a) => s + (rewards[a.pubkey]?.amount || 0), 0) / LAMPORTS_PER_SOL;
+      if (e !== epoch) continue;
+      for (const a of accounts) {
+        const r = rewards[a.pubkey];
+        a.reward = r ? r.amount / LAMPORTS_PER_SOL : null;
+        a.rewardStake = r ? (r.postBalance - r.amount) / LAMPORTS_PER_SOL : null;
+        a.rewardCommission = r ? r.commission ?? null : null;
+      }
+    }
+    const total = Object.values(rewards).reduce((s, r) => s + r.amount, 0) / LAMPORTS_PER_SOL;
+    ledger = appendLedger(ledger, { epoch: e, byAuthority: perAuthority, total });
+  }
+
+  // Accounts can sit under both authorities (e.g. staker FiRep, withdrawer mpa4); count them once
+  const unique = [...new Map(Object.values(stakeAccountsByKey).flat().map(a => [a.pubkey, a])).values()];
+  const validators = Object.entries(validatorRewards(unique, perYear)).map(([voter, t]) => {
+    const commission = unique.find(a => a.voter === voter && a.rewardCommission != null)?.rewardCommission ?? null;
+    const estimated = estimates[voter] ?? null;
+    return {
+      voter,
+      name: names[voter] || null,
+      ...t,
+      commission,
+      estimatedApy: estimated,
+      apyDelta: t.apy != null && estimated != null ? round(t.apy - estimated, 2) : null,
+    };
+  }).sort((a, b) => b.stake - a.stake);
+
+  const cumulative = { fromEpoch: ledger[0]?.epoch ?? null, toEpoch: epoch, epochs: ledger.length, missingEpochs: missingEpochs(ledger, epoch), total: 0, byAuthority: {} };
+  for (const l of ledger) {
+    cumulative.total += l.total;
+    for (const [key, v] of Object.entries(l.byAuthority)) cumulative.byAuthority[key] = (cumulative.byAuthority[key] || 0) + v;
+  }
+
+  return {
+    epoch,
+    epochsPerYear: round(perYear, 2),
+    byAuthority: Object.fromEntries(Object.entries(stakeAccountsByKey).map(([key, accounts]) => [key, tally(accounts, perYear)])),
+    combined: tally(unique, perYear),
+    validators,
+    ledger,
+    cumulative,
+  };
+}
+
+module.exports = {
+  ADDRESS_BATCH, SLOT_SECONDS, epochsPerYear, annualize, getInflationRewards, validatorRewards, collectRewards,
+  ledgerOf, missingRewards,
+};
@@ -0,0 +1,210 @@
+// Shared Solana JSON-RPC client: endpoint failover, timeouts, retries with
+// backoff, 429/Retry-After handling, a concurrency limit and batch requests.
+//
+// Endpoints are tried in priority order. Each endpoint gets `retries` attempts
+// before the client fails over to the next one.
+const { createLogger } = require("./log");
+
+const DEFAULT_RPC = "https://api.mainnet-beta.solana.com";
+
+// JSON-RPC error codes worth retrying (node behind / temporarily unavailable)
+const RETRYABLE_RPC_CODES = new Set([-32005, -32004, -32014, -32016, 429]);
+
+class RpcError extends Error {
+  constructor(message, { method, endpoint, code, data, status, retryable, failover } = {}) {
+    super(message);
+    this.name = "RpcError";
+    Object.assign(this, { method, endpoint, code, data, status, retryable: !!retryable, failover: !!failover });
+  }
+}
+
+// Prioritized endpoint list: RPC_ENDPOINTS (comma-separated), then HELIUS_RPC, then public mainnet
+function endpointsFromEnv(env = process.env) {
+  const list = [...(env.RPC_ENDPOINTS || "").split(","), env.HELIUS_RPC, DEFAULT_RPC]
+    .map(e => (e || "").trim())
+    .filter(Boolean);
+  return [...new Set(list)];
+}
+
+// Host only, so API keys in paths/query strings never reach the logs
+function endpointLabel(endpoint) {
+  try { return new URL(endpoint).host; } catch { return "invalid-endpoint"; }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function retryAfterMs(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (!isNaN(secs)) return secs * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Simple counting semaphore
+function limiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+function createRpcClient(opts = {}) {
+  const o = {
+    endpoints: endpointsFromEnv(),
+    timeoutMs: 60000,
+    retries: 3,
+    backoffMs: 500,
+    maxBackoffMs: 15000,
+    concurrency: 4,
+    log: createLogger(),
+    fetch: globalThis.fetch,
+    ...opts,
+  };
+  if (!o.endpoints.length) throw new Error("createRpcClient: no RPC endpoints configured");
+
+  const limit = limiter(o.concurrency);
+  // Per endpoint: attempts, failed attempts, retries, and the calls it answered by JSON-RPC method
+  const stats = Object.fromEntries(o.endpoints.map(e => [endpointLabel(e), { calls: 0, failures: 0, retries: 0, served: {} }]));
+  let nextId = 1;
+
+  const backoff = (attempt) => {
+    const base = Math.min(o.maxBackoffMs, o.backoffMs * 2 ** (attempt - 1));
+    return base / 2 + Math.random() * base / 2; // jitter in [base/2, base)
+  };
+
+  // One HTTP round trip; returns parsed JSON body or throws RpcError
+  async function post(endpoint, body, method, timeoutMs) {
+    let res;
+    try {
+      res = await o.fetch(endpoint, {
+        method: "POST", headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      const timedOut = e.name === "TimeoutError" || e.name === "AbortError";
+      throw new RpcError(timedOut ? `timeout after ${timeoutMs}ms` : `network error: ${e.message}`,
+        { method, endpoint: endpointLabel(endpoint), retryable: true });
+    }
+
+    let text;
+    try {
+      text = await res.text();
+    } catch (e) {
+      // Slow nodes often stall while streaming the body: treat it like a failed request
+      const timedOut = e.name === "TimeoutError" || e.name === "AbortError";
+      throw new RpcError(timedOut ? `timeout after ${timeoutMs}ms reading the response` : `network error reading the response: ${e.message}`,
+        { method, endpoint: endpointLabel(endpoint), status: res.status, retryable: true });
+    }
+    if (res.status === 429 || res.status >= 500) {
+      const err = new RpcError(`HTTP ${res.status}`, { method, endpoint: endpointLabel(endpoint), status: res.status, retryable: true });
+      err.retryAfterMs = retryAfterMs(res.headers.get("retry-after"));
+      throw err;
+    }
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new RpcError(`non-JSON response (HTTP ${res.status}): ${text.slice(0, 120)}`,
+        { method, endpoint: endpointLabel(endpoint), status: res.status, retryable: res.ok, failover: !res.ok });
+    }
+    if (res.status === 401 || res.status === 403 || (!res.ok && !(data && data.error) && !Array.isArray(data))) {
+      // Auth/routing problems with this endpoint: skip straight to the next one
+      throw new RpcError(`HTTP ${res.status}`, { method, endpoint: endpointLabel(endpoint), status: res.status, failover: true });
+    }
+    // JSON that isn't a JSON-RPC answer (a bare value, an object with neither result nor error,
+    // a batch answered with one object): this endpoint is broken or proxied wrongly
+    const answer = (d) => d !== null && typeof d === "object" && ("result" in d || !!d.error);
+    if (Array.isArray(data) ? !Array.isArray(body) : !answer(data) || (Array.isArray(body) && !data.error)) {
+      throw new RpcError(`malformed JSON-RPC response (HTTP ${res.status}): ${text.slice(0, 120)}`,
+        { method, endpoint: endpointLabel(endpoint), status: res.status, failover: true });
+    }
+    return data;
+  }
+
+  // Runs `body` against endpoints in priority order until one answers
+  async function send(body, method, callOpts = {}) {
+    const timeoutMs = callOpts.timeoutMs || o.timeoutMs;
+    const rpcMethod = Array.isArray(body) ? body[0].method : body.method;
+    let lastErr;
+    for (const endpoint of o.endpoints) {
+      const label = endpointLabel(endpoint);
+      for (let attempt = 1; attempt <= o.retries; attempt++) {
+        const started = Date.now();
+        stats[label].calls++;
+        try {
+          const data = await post(endpoint, body, method, timeoutMs);
+          const rpcErr = Array.isArray(data) ? null : data.error;
+          if (rpcErr && RETRYABLE_RPC_CODES.has(rpcErr.code)) {
+            throw new RpcError(`RPC error ${rpcErr.code}: ${rpcErr.message}`,
+              { method, endpoint: label, code: rpcErr.code, data: rpcErr.data, retryable: true });
+          }
+          stats[label].served[rpcMethod] = (stats[label].served[rpcMethod] || 0) + 1;
+          return { data, endpoint: label };
+        } catch (e) {
+          if (!(e instanceof RpcError) || !(e.retryable || e.failover)) throw e;
+          lastErr = e;
+          stats[label].failures++;
+          const last = attempt === o.retries || e.failover;
+          const wait = last ? 0 : (e.retryAfterMs ?? backoff(attempt));
+          const then = !last ? `retrying in ${Math.round(wait)}ms` : endpoint !== o.endpoints[o.endpoints.length - 1] ? "failing over" : "no endpoints left";
+          o.log.warn(`  RPC ${method} via ${label} failed (attempt ${attempt}): ${e.message}; ${then}`,
+            { event: "rpc", method, endpoint: label, attempt, ms: Date.now() - started, error: e.message, retryInMs: last ? null : Math.round(wait) });
+          if (last) break;
+          stats[label].retries++;
+          await sleep(wait);
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  const unwrap = (data, method, endpoint) => {
+    if (data.error) {
+      throw new RpcError(`RPC error ${data.error.code}: ${data.error.message}`,
+        { method, endpoint, code: data.error.code, data: data.error.data });
+    }
+    return data.result;
+  };
+
+  async function call(method, params = [], callOpts) {
+    return limit(async () => {
+      const { data, endpoint } = await send({ jsonrpc: "2.0", id: nextId++, method, params }, method, callOpts);
+      return unwrap(data, method, endpoint);
+    });
+  }
+
+  // JSON-RPC batch: requests is [[method, params], ...]; results come back in request order
+  async function batch(requests, callOpts) {
+    if (!requests.length) return [];
+    return limit(async () => {
+      const body = requests.map(([method, params = []]) => ({ jsonrpc: "2.0", id: nextId++, method, params }));
+      const label = `batch(${requests.length}x${requests[0][0]})`;
+      const { data, endpoint } = await send(body, label, callOpts);
+      if (!Array.isArray(data)) {
+        unwrap(data, label, endpoint);
+        throw new RpcError("batch request answered with a single response", { method: label, endpoint });
+      }
+      const byId = Object.fromEntries(data.map(d => [d.id, d]));
+      return body.map((req) => {
+        const d = byId[req.id];
+        if (!d) throw new RpcError(`missing batch response for id ${req.id}`, { method: req.method, endpoint });
+        return unwrap(d, req.method, endpoint);
+      });
+    });
+  }
+
+  // Copy of the stats, methods sorted so concurrent calls don't reorder the output
+  const snapshotStats = () => Object.fromEntries(Object.entries(stats).map(([label, s]) =>
+    [label, { ...s, served: Object.fromEntries(Object.entries(s.served).sort(([a], [b]) => a.localeCompare(b))) }]));
+
+  return { call, batch, stats: snapshotStats, endpoints: o.endpoints.map(endpointLabel) };
+}
+
+module.exports = { createRpcClient, endpointsFromEnv, endpointLabel, RpcError, DEFAULT_RPC };
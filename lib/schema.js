@@ -0,0 +1,100 @@
+// Minimal JSON Schema validator for the data contracts in schemas/
+//
+// Covers the subset those schemas use: type (with "integer", and "number" meaning a
+// finite number, so NaN and Infinity fail), enum, const, required, properties,
+// additionalProperties, items, minItems/maxItems, minimum/maximum, pattern,
+// format "date-time", allOf, anyOf, not, if/then/else and $refs to definitions, local ("#/$defs/<name>") or in
+// another file of schemas/ ("common.schema.json#/$defs/<name>"). Unknown keywords are
+// ignored, like any JSON Schema validator does.
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_DIR = path.join(__dirname, "..", "schemas");
+
+const typeOf = (v) => v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+const TYPES = {
+  null: (v) => v === null,
+  boolean: (v) => typeof v === "boolean",
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  array: Array.isArray,
+  object: (v) => typeOf(v) === "object",
+};
+
+const describe = (v) => typeof v === "number" && !isFinite(v) ? String(v) : typeOf(v);
+
+// { schema, root } a $ref points at; `root` is the document its own $refs resolve against
+function resolveRef(root, ref) {
+  const m = /^(?:([\w-]+)\.schema\.json)?#\/\$defs\/(.+)$/.exec(ref);
+  const doc = m && (m[1] ? loadSchema(m[1]) : root);
+  const schema = doc?.$defs?.[m[2]];
+  if (!schema) throw new Error(`Unresolvable $ref "${ref}"`);
+  return { schema, root: doc };
+}
+
+// Error strings ("<path>: <problem>") for `value` against `schema`; [] when it conforms
+function validate(schema, value, root = schema, at = "(root)") {
+  const errors = [];
+  const child = (key) => at === "(root)" ? String(key) : `${at}.${key}`;
+
+  // Keywords next to a $ref apply as well (2020-12), e.g. to add properties to a shared definition
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    errors.push(...validate(target.schema, value, target.root, at));
+    if (errors.length) return errors;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => TYPES[t](value))) return [`${at}: expected ${types.join(" or ")}, got ${describe(value)}`];
+  }
+  if (schema.const !== undefined && value !== schema.const) errors.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+  if (schema.allOf) for (const s of schema.allOf) errors.push(...validate(s, value, root, at));
+  if (schema.anyOf) {
+    const branches = schema.anyOf.map(s => validate(s, value, root, at));
+    if (!branches.some(b => !b.length)) errors.push(...branches.reduce((a, b) => (b.length < a.length ? b : a)));
+  }
+  if (schema.not && !validate(schema.not, value, root, at).length) errors.push(`${at}: matches a schema it must not`);
+  if (schema.if) {
+    const branch = validate(schema.if, value, root, at).length ? schema.else : schema.then;
+    if (branch) errors.push(...validate(branch, value, root, at));
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+    if (schema.format === "date-time" && isNaN(Date.parse(value))) errors.push(`${at}: "${value}" is not a date`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, root, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) if (value[key] === undefined) errors.push(`${child(key)}: missing`);
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key];
+      if (sub) errors.push(...validate(sub, v, root, child(key)));
+      else if (schema.additionalProperties === false) errors.push(`${child(key)}: unexpected property`);
+      else if (typeOf(schema.additionalProperties) === "object") errors.push(...validate(schema.additionalProperties, v, root, child(key)));
+    }
+  }
+  return errors;
+}
+
+const cache = new Map();
+
+// schemas/<name>.schema.json, parsed once
+function loadSchema(name) {
+  if (!cache.has(name)) cache.set(name, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), "utf8")));
+  return cache.get(name);
+}
+
+module.exports = { SCHEMA_DIR, validate, loadSchema };
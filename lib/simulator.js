@@ -0,0 +1,220 @@
+// What-if delegation simulator
+//
+// Applies delegation rules (remove, cap, redistribute, exclude) to the SFDP stake
+// of the current validators and recomputes the decentralization metrics for SFDP
+// and the whole network next to the baseline. Non-SFDP stake is held fixed.
+// UMD; in the browser it needs SFDPMetrics and SFDPGeo loaded first.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./metrics"), require("./geo"));
+  else root.SFDPSimulator = factory(root.SFDPMetrics, root.SFDPGeo);
+})(typeof self !== "undefined" ? self : this, function (metrics, geo) {
+  const EPSILON = 1e-6; // SOL left over from redistribution rounding
+
+  // Rule types. `authority` on any rule limits it to one authority's stake (default: all).
+  const RULES = {
+    removeSuperminority: {
+      label: "Remove SFDP stake from superminority validators",
+      params: [],
+      select: (v) => v.superminority,
+    },
+    removeVoters: {
+      label: "Remove SFDP stake from validators",
+      params: [{ id: "voters", label: "Vote accounts", type: "list" }],
+      select: (v, r) => r.voters.includes(v.voter),
+    },
+    excludeAsn: {
+      label: "Exclude an ASN",
+      params: [{ id: "asn", label: "ASN / provider", type: "text" }],
+      select: (v, r) => v.asn != null && String(v.asn).toLowerCase() === String(r.asn).toLowerCase(),
+    },
+    excludeCountry: {
+      label: "Exclude a country",
+      params: [{ id: "country", label: "Country", type: "text" }],
+      select: (v, r) => v.country != null && v.country.toLowerCase() === String(r.country).toLowerCase(),
+    },
+    cap: {
+      label: "Cap SFDP stake per validator",
+      params: [{ id: "max", label: "Max stake", type: "number", unit: "SOL" }],
+    },
+    redistribute: {
+      label: "Redistribute freed stake evenly",
+      params: [],
+    },
+  };
+
+  // Metrics compared per scope; `lower` marks the ones where a decrease is an improvement
+  const METRICS = [
+    { id: "validators", label: "Validators with stake" },
+    { id: "totalStake", label: "Total stake", unit: "SOL" },
+    { id: "nakamoto", label: "Nakamoto coefficient (33%)" },
+    { id: "hhi", label: "HHI", lower: true },
+    { id: "gini", label: "Gini", lower: true },
+    { id: "top3AsnPct", label: "Top 3 ASN share", unit: "%", lower: true },
+  ];
+
+  function validateRule(rule) {
+    const def = RULES[rule?.type];
+    if (!def) return `unknown rule type "${rule?.type}"`;
+    for (const p of def.params) {
+      const v = rule[p.id];
+      if (p.type === "number" && !(typeof v === "number" && v >= 0)) return `${rule.type}: ${p.id} must be a non-negative number`;
+      if (p.type === "list" && !(Array.isArray(v) && v.length)) return `${rule.type}: ${p.id} must be a non-empty list`;
+      if (p.type === "text" && !(typeof v === "string" && v.trim())) return `${rule.type}: ${p.id} is required`;
+    }
+    return null;
+  }
+
+  // One row per validator: SFDP stake per authority plus the rest of its network stake.
+  // `sfdp` is latest.json; `network` (network-latest.json) is optional, and without it
+  // the network scope only covers validators with SFDP stake.
+  function simulationInputs(sfdp, network) {
+    const rows = new Map();
+    const row = (voter) => {
+      if (!rows.has(voter)) rows.set(voter, { voter, name: null, asn: null, country: null, networkStake: 0, sfdp: {} });
+      return rows.get(voter);
+    };
+    for (const v of network?.validators || []) {
+      Object.assign(row(v.voter), { name: v.name || null, asn: v.asnOrg || v.asn || null, country: v.country || null, networkStake: v.stake || 0 });
+    }
+    const authorities = Object.keys(sfdp?.accounts || {});
+    for (const key of authorities) {
+      for (const v of sfdp.accounts[key].validators || []) {
+        if (!(v.activeStake > 0)) continue;
+        const r = row(v.voter);
+        r.sfdp[key] = (r.sfdp[key] || 0) + v.activeStake;
+        r.name = r.name || v.name || null;
+        r.asn = r.asn || v.asnOrg || v.asn || null;
+        r.country = r.country || v.country || null;
+        if (!network) r.networkStake = Math.max(r.networkStake, v.totalNetworkStake || 0);
+      }
+    }
+    const validators = [...rows.values()].map(r => {
+      const sfdpTotal = Object.values(r.sfdp).reduce((s, x) => s + x, 0);
+      return { ...r, otherStake: Math.max(0, r.networkStake - sfdpTotal) };
+    });
+    // The superminority is fixed by the baseline so later rules don't move the target
+    const superminority = new Set(metrics.superminoritySet(validators, v => v.otherStake + sumStake(v.sfdp)).map(v => v.voter));
+    for (const v of validators) v.superminority = superminority.has(v.voter);
+    return { authorities, networkComplete: !!network, validators };
+  }
+
+  const sumStake = (byAuthority) => Object.values(byAuthority).reduce((s, x) => s + x, 0);
+
+  // Distribution metrics of [{ stake, asn, country }]
+  function scopeMetrics(rows) {
+    const active = rows.filter(r => r.stake > 0);
+    const stakes = active.map(r => r.stake);
+    const total = stakes.reduce((s, x) => s + x, 0);
+    const group = (keyOf) => {
+      const out = {};
+      for (const r of active) {
+        const k = keyOf(r);
+        out[k] = (out[k] || 0) + r.stake;
+      }
+      return Object.entries(out).map(([name, stake]) => ({ name, stake, pct: total > 0 ? stake / total * 100 : 0 })).sort((a, b) => b.stake - a.stake);
+    };
+    const asns = group(r => r.asn || "Unknown");
+    return {
+      validators: active.length,
+      totalStake: total,
+      nakamoto: metrics.nakamoto(stakes),
+      hhi: metrics.hhi(stakes),
+      gini: metrics.gini(stakes),
+      top3AsnPct: asns.slice(0, 3).reduce((s, a) => s + a.pct, 0),
+      continents: group(r => geo.continentOf(r.country)),
+    };
+  }
+
+  function measure(validators) {
+    return {
+      sfdp: scopeMetrics(validators.map(v => ({ stake: sumStake(v.sfdp), asn: v.asn, country: v.country }))),
+      network: scopeMetrics(validators.map(v => ({ stake: v.otherStake + sumStake(v.sfdp), asn: v.asn, country: v.country }))),
+    };
+  }
+
+  // Spreads `amount` evenly over `recipients`, never lifting one above `cap`. Returns what didn't fit.
+  function waterFill(recipients, key, amount, cap) {
+    let open = recipients.filter(v => (v.sfdp[key] || 0) < cap);
+    while (amount > EPSILON && open.length) {
+      const share = amount / open.length;
+      for (const v of open) {
+        const give = Math.min(share, cap - (v.sfdp[key] || 0));
+        v.sfdp[key] = (v.sfdp[key] || 0) + give;
+        amount -= give;
+      }
+      open = open.filter(v => cap - v.sfdp[key] > EPSILON);
+    }
+    return Math.max(0, amount);
+  }
+
+  // Applies `rules` in order. Removed and capped stake is "freed" per authority until a
+  // redistribute rule hands it to the remaining validators of that authority.
+  function simulate(inputs, rules) {
+    const errors = rules.map(validateRule).filter(Boolean);
+    if (errors.length) throw new Error(`Invalid simulation rules: ${errors.join("; ")}`);
+    const validators = inputs.validators.map(v => ({ ...v, sfdp: { ...v.sfdp } }));
+    const freed = Object.fromEntries(inputs.authorities.map(k => [k, 0]));
+    const caps = Object.fromEntries(inputs.authorities.map(k => [k, Infinity]));
+    const excluded = Object.fromEntries(inputs.authorities.map(k => [k, new Set()]));
+    const affected = new Set();
+    let redistributed = 0;
+
+    for (const rule of rules) {
+      const keys = rule.authority ? [rule.authority].filter(k => k in freed) : inputs.authorities;
+      const def = RULES[rule.type];
+      for (const key of keys) {
+        if (rule.type === "redistribute") {
+          const recipients = validators.filter(v => v.sfdp[key] > 0 && !excluded[key].has(v.voter));
+          const before = new Map(recipients.map(v => [v.voter, v.sfdp[key]]));
+          const left = waterFill(recipients, key, freed[key], caps[key]);
+          redistributed += freed[key] - left;
+          recipients.filter(v => v.sfdp[key] > before.get(v.voter)).forEach(v => affected.add(v.voter));
+          freed[key] = left;
+          continue;
+        }
+        if (rule.type === "cap") caps[key] = Math.min(caps[key], rule.max);
+        for (const v of validators) {
+          const stake = v.sfdp[key] || 0;
+          if (rule.type === "cap") {
+            if (stake <= rule.max) continue;
+            v.sfdp[key] = rule.max;
+            freed[key] += stake - rule.max;
+            affected.add(v.voter);
+          } else if (def.select(v, rule)) {
+            excluded[key].add(v.voter);
+            if (!stake) continue;
+            v.sfdp[key] = 0;
+            freed[key] += stake;
+            affected.add(v.voter);
+          }
+        }
+      }
+    }
+
+    const undelegated = Object.values(freed).reduce((s, x) => s + x, 0);
+    return {
+      rules,
+      networkComplete: inputs.networkComplete,
+      baseline: measure(inputs.validators),
+      scenario: measure(validators),
+      summary: { affectedValidators: affected.size, redistributed, undelegated, undelegatedByAuthority: freed },
+      validators,
+    };
+  }
+
+  // [{ scope, metric, label, unit, baseline, scenario, delta, improved }] for a side-by-side table
+  function comparison(result) {
+    const rows = [];
+    for (const scope of ["sfdp", "network"]) {
+      for (const m of METRICS) {
+        const b = result.baseline[scope][m.id], s = result.scenario[scope][m.id];
+        const delta = s - b;
+        rows.push({ scope, metric: m.id, label: m.label, unit: m.unit || null, baseline: b, scenario: s, delta,
+          improved: Math.abs(delta) < 1e-12 || m.id === "totalStake" || m.id === "validators" ? null : m.lower ? delta < 0 : delta > 0 });
+      }
+    }
+    return rows;
+  }
+
+  return { RULES, METRICS, validateRule, simulationInputs, scopeMetrics, simulate, comparison };
+});
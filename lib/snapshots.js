@@ -0,0 +1,201 @@
+// Snapshot store: gzip-compressed, schema-versioned SFDP snapshots under data/snapshots/
+//
+//   snapshots/epoch-<epoch>.json.gz                    canonical: the last snapshot taken in the epoch
+//   snapshots/intra/epoch-<epoch>-slot-<slot>.json.gz  every run, kept for the newest epochs only
+//
+// Files are written to a temporary name and renamed into place, so readers never see
+// a partial file. Snapshots from older schema versions (including the legacy
+// data/snapshot-<epoch>.json files) are migrated when read; `sfdp migrate` rewrites them.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { lookupCountry } = require("./geo");
+const clients = require("./clients");
+
+const SCHEMA_VERSION = 3;
+const SNAPSHOT_DIR = "snapshots";
+const INTRA_DIR = "intra";
+
+// intraEpochs: newest epochs whose intra-epoch snapshots are kept (older ones roll up into
+// the canonical snapshot). canonicalEpochs: newest canonical snapshots kept (null = all).
+const DEFAULT_RETENTION = { intraEpochs: 2, canonicalEpochs: null };
+
+const CANONICAL_RE = /^epoch-(\d+)\.json\.gz$/;
+const INTRA_RE = /^epoch-(\d+)-slot-(\d+)\.json\.gz$/;
+const LEGACY_RE = /^snapshot-(\d+)\.json$/;
+
+// Writes `data` next to `file` and renames it into place
+function writeAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+const writeJson = (file, value, pretty = false) => writeAtomic(file, JSON.stringify(value, null, pretty ? 2 : 0));
+
+function readDir(dir, re) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).map(f => [f, re.exec(f)]).filter(([, m]) => m);
+}
+
+// Canonical snapshots as [{ epoch, file, legacy }] by epoch. A legacy snapshot-<epoch>.json
+// stands in for an epoch that has no canonical archive yet.
+function listSnapshots(dataDir) {
+  const byEpoch = new Map();
+  for (const [f, m] of readDir(dataDir, LEGACY_RE)) byEpoch.set(+m[1], { epoch: +m[1], file: path.join(dataDir, f), legacy: true });
+  for (const [f, m] of readDir(path.join(dataDir, SNAPSHOT_DIR), CANONICAL_RE)) {
+    byEpoch.set(+m[1], { epoch: +m[1], file: path.join(dataDir, SNAPSHOT_DIR, f), legacy: false });
+  }
+  return [...byEpoch.values()].sort((a, b) => a.epoch - b.epoch);
+}
+
+// Intra-epoch snapshots as [{ epoch, slot, file }] by slot, optionally of one epoch
+function listIntraSnapshots(dataDir, epoch) {
+  const dir = path.join(dataDir, SNAPSHOT_DIR, INTRA_DIR);
+  return readDir(dir, INTRA_RE)
+    .map(([f, m]) => ({ epoch: +m[1], slot: +m[2], file: path.join(dir, f) }))
+    .filter(s => epoch == null || s.epoch === epoch)
+    .sort((a, b) => a.slot - b.slot);
+}
+
+// Parsed file contents, gunzipped when needed, without migration
+function readRaw(file) {
+  const buf = fs.readFileSync(file);
+  return JSON.parse(file.endsWith(".gz") ? zlib.gunzipSync(buf).toString("utf8") : buf.toString("utf8"));
+}
+
+const schemaVersionOf = (doc) => doc?.schemaVersion ?? 1;
+
+// Every validator record of an SFDP snapshot or a network file
+const validatorRecords = (doc) => [
+  ...Object.values(doc.accounts || {}).flatMap(a => a.validators || []),
+  ...(doc.validators || []),
+];
+
+// Upgrades from schema version N to N + 1, for SFDP snapshots and network files alike
+const MIGRATIONS = {
+  // 1 → 2: ISO country names with codes, and the client each validator runs
+  1(doc, { clientTable }) {
+    for (const v of validatorRecords(doc)) {
+      const country = lookupCountry(v.country);
+      if (country) v.country = country.name;
+      if (v.countryCode === undefined) v.countryCode = country?.code || null;
+      if (v.client === undefined) v.client = clients.identifyClient(clientTable, v).id;
+    }
+    return doc;
+  },
+  // 2 → 3: SFDP snapshots must carry every section the collector writes. Older ones can't be
+  // backfilled, so they keep the version they were collected at and the schema checks them
+  // against the looser contract of that time.
+  2(doc) {
+    if (doc.upgradedFrom === undefined) doc.upgradedFrom = schemaVersionOf(doc);
+    return doc;
+  },
+};
+
+// `doc` upgraded to SCHEMA_VERSION (in place). Newer versions than this code knows are refused.
+function migrate(doc, { clientTable = clients.loadTable() } = {}) {
+  let version = schemaVersionOf(doc);
+  if (version > SCHEMA_VERSION) throw new Error(`schemaVersion ${version} is newer than supported (${SCHEMA_VERSION})`);
+  while (version < SCHEMA_VERSION) {
+    doc = MIGRATIONS[version](doc, { clientTable });
+    version++;
+  }
+  const { schemaVersion, ...rest } = doc;
+  return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
+
+// A stored snapshot at the current schema version
+function readSnapshot(file, opts) {
+  return migrate(readRaw(file), opts);
+}
+
+const gzipJson = (value) => zlib.gzipSync(JSON.stringify(value), { level: 9 });
+
+// Stores `snap` as an intra-epoch snapshot and, when it is the latest of its epoch so far,
+// as the epoch's canonical snapshot, then applies `retention`.
+// Returns { written: [paths], removed: [paths] }
+function saveSnapshot(dataDir, snap, { retention = DEFAULT_RETENTION } = {}) {
+  const dir = path.join(dataDir, SNAPSHOT_DIR);
+  const data = gzipJson({ ...snap, schemaVersion: SCHEMA_VERSION });
+  const latestSlot = Math.max(-1, ...listIntraSnapshots(dataDir, snap.epoch).map(s => s.slot));
+  const written = [];
+
+  const intra = path.join(dir, INTRA_DIR, `epoch-${snap.epoch}-slot-${snap.slot}.json.gz`);
+  writeAtomic(intra, data);
+  written.push(intra);
+  if (snap.slot >= latestSlot) {
+    const canonical = path.join(dir, `epoch-${snap.epoch}.json.gz`);
+    writeAtomic(canonical, data);
+    written.push(canonical);
+  }
+  return { written, removed: applyRetention(dataDir, retention) };
+}
+
+// Deletes intra-epoch snapshots outside the newest `intraEpochs` epochs and canonical
+// snapshots outside the newest `canonicalEpochs`. Returns the removed paths.
+function applyRetention(dataDir, { intraEpochs, canonicalEpochs } = DEFAULT_RETENTION) {
+  const removed = [];
+  const newest = (list, n) => new Set([...new Set(list.map(s => s.epoch))].sort((a, b) => b - a).slice(0, n));
+
+  const intra = listIntraSnapshots(dataDir);
+  const keepIntra = newest(intra, intraEpochs);
+  for (const s of intra) if (!keepIntra.has(s.epoch)) removed.push(s.file);
+
+  if (canonicalEpochs != null) {
+    const canonical = listSnapshots(dataDir).filter(s => !s.legacy);
+    const keep = newest(canonical, canonicalEpochs);
+    for (const s of canonical) if (!keep.has(s.epoch)) removed.push(s.file);
+  }
+  for (const file of removed) fs.unlinkSync(file);
+  return removed;
+}
+
+// Upgrades a data directory: legacy snapshot-<epoch>.json files become canonical archives,
+// and latest.json, network-latest.json and every stored snapshot are brought to SCHEMA_VERSION.
+// Returns [{ file, from, to, action }] ("archived", "upgraded" or "current")
+function migrateDataDir(dataDir, { dryRun = false } = {}) {
+  const clientTable = clients.loadTable();
+  const out = [];
+  const rel = (f) => path.relative(dataDir, f);
+
+  for (const s of listSnapshots(dataDir)) {
+    const raw = readRaw(s.file);
+    const from = schemaVersionOf(raw);
+    if (s.legacy) {
+      const target = path.join(dataDir, SNAPSHOT_DIR, `epoch-${s.epoch}.json.gz`);
+      if (!dryRun) {
+        writeAtomic(target, gzipJson(migrate(raw, { clientTable })));
+        fs.unlinkSync(s.file);
+      }
+      out.push({ file: rel(s.file), to: rel(target), from, action: "archived" });
+    } else if (from !== SCHEMA_VERSION) {
+      if (!dryRun) writeAtomic(s.file, gzipJson(migrate(raw, { clientTable })));
+      out.push({ file: rel(s.file), to: rel(s.file), from, action: "upgraded" });
+    } else {
+      out.push({ file: rel(s.file), to: rel(s.file), from, action: "current" });
+    }
+  }
+  for (const s of listIntraSnapshots(dataDir)) {
+    const raw = readRaw(s.file);
+    const from = schemaVersionOf(raw);
+    if (from !== SCHEMA_VERSION && !dryRun) writeAtomic(s.file, gzipJson(migrate(raw, { clientTable })));
+    out.push({ file: rel(s.file), to: rel(s.file), from, action: from === SCHEMA_VERSION ? "current" : "upgraded" });
+  }
+  for (const name of ["latest.json", "network-latest.json"]) {
+    const file = path.join(dataDir, name);
+    if (!fs.existsSync(file)) continue;
+    const raw = readRaw(file);
+    const from = schemaVersionOf(raw);
+    if (from !== SCHEMA_VERSION && !dryRun) writeJson(file, migrate(raw, { clientTable }), true);
+    out.push({ file: name, to: name, from, action: from === SCHEMA_VERSION ? "current" : "upgraded" });
+  }
+  return out;
+}
+
+module.exports = {
+  SCHEMA_VERSION, SNAPSHOT_DIR, DEFAULT_RETENTION, MIGRATIONS,
+  writeAtomic, writeJson, listSnapshots, listIntraSnapshots, readRaw, schemaVersionOf, migrate, readSnapshot,
+  saveSnapshot, applyRetention, migrateDataDir,
+};
@@ -0,0 +1,172 @@
+// Stake accounts and their lifecycle: activating / active / deactivating / inactive
+//
+// Mirrors the stake program's warmup/cooldown math: each epoch only a fraction
+// (the warmup/cooldown rate) of the cluster's effective stake may change state,
+// and an account gets its pro-rata share of that, read from the stake history
+// sysvar.
+
+const U64_MAX = "18446744073709551615";
+const STAKE_PROGRAM = "Stake11111111111111111111111111111111111111";
+const STAKE_HISTORY_SYSVAR = "SysvarStakeHistory1111111111111111111111111";
+// Rate since the reduce_stake_warmup_cooldown feature (was 0.25 before)
+const WARMUP_COOLDOWN_RATE = 0.09;
+
+const STATES = ["activating", "active", "deactivating", "inactive"];
+
+// Stake history sysvar as { epoch: { effective, activating, deactivating } } in lamports
+async function getStakeHistory(rpc) {
+  const res = await rpc("getAccountInfo", [STAKE_HISTORY_SYSVAR, { encoding: "jsonParsed" }]);
+  const entries = res?.value?.data?.parsed?.info || [];
+  const out = {};
+  for (const e of entries) {
+    out[e.epoch] = {
+      effective: Number(e.stakeHistory.effective),
+      activating: Number(e.stakeHistory.activating),
+      deactivating: Number(e.stakeHistory.deactivating),
+    };
+  }
+  return out;
+}
+
+// Byte offsets of the StakeStateV2 fields the collectors read. Accounts are fetched
+// base64 with a dataSlice that ends after the delegation, instead of jsonParsed.
+const STAKE_LAYOUT = {
+  state: 0, // u32: 0 uninitialized, 1 initialized, 2 delegated, 3 rewards pool
+  staker: 12,
+  withdrawer: 44,
+  voter: 124,
+  stake: 156,
+  activationEpoch: 164,
+  deactivationEpoch: 172,
+};
+const STAKE_DATA_SLICE = { offset: 0, length: 180 };
+const STATE_TYPES = ["uninitialized", "initialized", "delegated", "rewardsPool"];
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+function base58(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry) { digits.push(carry % 58); carry = (carry / 58) | 0; }
+  }
+  let out = "";
+  for (const byte of bytes) { if (byte) break; out += "1"; }
+  for (let i = digits.length - 1; i >= 0; i--) out += BASE58[digits[i]];
+  return out;
+}
+
+// Sliced base64 stake account data in the jsonParsed shape the rest of the code reads
+// (authorities and delegation only; u64s stay strings as jsonParsed has them)
+function decodeStakeAccount(data) {
+  const buf = Buffer.from(Array.isArray(data) ? data[0] : data, "base64");
+  const type = STATE_TYPES[buf.readUInt32LE(STAKE_LAYOUT.state)] || "unknown";
+  if (type !== "initialized" && type !== "delegated") return { type, info: {} };
+  const key = (at) => base58(buf.subarray(at, at + 32));
+  const info = { meta: { authorized: { staker: key(STAKE_LAYOUT.staker), withdrawer: key(STAKE_LAYOUT.withdrawer) } } };
+  if (type === "delegated") {
+    info.stake = {
+      delegation: {
+        voter: key(STAKE_LAYOUT.voter),
+        stake: buf.readBigUInt64LE(STAKE_LAYOUT.stake).toString(),
+        activationEpoch: buf.readBigUInt64LE(STAKE_LAYOUT.activationEpoch).toString(),
+        deactivationEpoch: buf.readBigUInt64LE(STAKE_LAYOUT.deactivationEpoch).toString(),
+      },
+    };
+  }
+  return { type, info };
+}
+
+// Stake accounts whose staker (or withdrawer) is `authority`, decoded from sliced base64
+async function getStakeAccounts(rpc, authority, role = "staker") {
+  const accounts = await rpc("getProgramAccounts", [
+    STAKE_PROGRAM,
+    { encoding: "base64", dataSlice: STAKE_DATA_SLICE, filters: [{ memcmp: { offset: STAKE_LAYOUT[role], bytes: authority } }] },
+  ], { timeoutMs: 120000 });
+  return accounts.map(a => ({ ...a, account: { ...a.account, data: { program: "stake", parsed: decodeStakeAccount(a.account.data) } } }));
+}
+
+const toEpoch = (v) => (v == null || String(v) === U64_MAX ? Infinity : Number(v));
+
+// Effective and still-activating lamports at `target` (warmup only)
+function stakeAndActivating(delegated, activation, deactivation, target, history, rate) {
+  if (activation === deactivation) return [0, 0];
+  if (target === activation) return [0, delegated];
+  if (target < activation) return [0, 0];
+  if (activation === Infinity) return [delegated, 0]; // bootstrap stake
+  let cluster = history[activation];
+  if (!cluster) return [delegated, 0]; // warmed up before recorded history
+  let prevEpoch = activation, effective = 0;
+  for (;;) {
+    const epoch = prevEpoch + 1;
+    if (cluster.activating === 0) break;
+    const weight = (delegated - effective) / cluster.activating;
+    effective += Math.max(1, weight * cluster.effective * rate);
+    if (effective >= delegated) { effective = delegated; break; }
+    if (epoch >= target || epoch >= deactivation) break;
+    if (!history[epoch]) break;
+    prevEpoch = epoch;
+    cluster = history[epoch];
+  }
+  return [effective, delegated - effective];
+}
+
+// { effective, activating, deactivating } lamports of one delegation at `target`
+function effectiveStake(delegation, target, history = {}, rate = WARMUP_COOLDOWN_RATE) {
+  const delegated = Number(delegation.stake);
+  const activation = toEpoch(delegation.activationEpoch);
+  const deactivation = toEpoch(delegation.deactivationEpoch);
+  const [effective, activating] = stakeAndActivating(delegated, activation, deactivation, target, history, rate);
+
+  if (target < deactivation) return { effective, activating, deactivating: 0 };
+  if (target === deactivation) return { effective, activating: 0, deactivating: effective };
+
+  let cluster = history[deactivation];
+  if (!cluster) return { effective: 0, activating: 0, deactivating: 0 };
+  let prevEpoch = deactivation, current = effective;
+  for (;;) {
+    const epoch = prevEpoch + 1;
+    if (cluster.deactivating === 0) break;
+    const weight = current / cluster.deactivating;
+    current = Math.max(0, current - Math.max(1, weight * cluster.effective * rate));
+    if (current === 0) break;
+    if (epoch >= target) break;
+    if (!history[epoch]) break;
+    prevEpoch = epoch;
+    cluster = history[epoch];
+  }
+  return { effective: current, activating: 0, deactivating: current };
+}
+
+// Lifecycle state plus per-state amounts in SOL for one delegation
+function stakeLifecycle(delegation, currentEpoch, history, rate) {
+  const s = effectiveStake(delegation, currentEpoch, history, rate);
+  const delegated = Number(delegation.stake) / 1e9;
+  const effective = s.effective / 1e9;
+  const activating = s.activating / 1e9;
+  const deactivating = s.deactivating / 1e9;
+  let state;
+  if (deactivating > 0) state = "deactivating";
+  else if (activating > 0) state = "activating";
+  else if (effective > 0 && currentEpoch < toEpoch(delegation.deactivationEpoch)) state = "active";
+  else state = "inactive";
+  return {
+    state,
+    delegated,
+    // Effective stake that is staying (activating accounts count their warmed-up part)
+    active: state === "deactivating" ? 0 : effective,
+    activating,
+    deactivating,
+    inactive: state === "inactive" ? delegated : Math.max(0, delegated - effective - activating),
+  };
+}
+
+module.exports = {
+  U64_MAX, STAKE_PROGRAM, STAKE_HISTORY_SYSVAR, STAKE_LAYOUT, STAKE_DATA_SLICE, WARMUP_COOLDOWN_RATE, STATES,
+  decodeStakeAccount, getStakeAccounts, getStakeHistory, effectiveStake, stakeLifecycle,
+};
@@ -0,0 +1,154 @@
+// Data contract for collected files: the JSON Schemas in schemas/ plus invariants a schema
+// can't express (stakes add up to their totals, percentages to ~100, no NaN anywhere).
+// The collectors check their results with assertValid before writing; `sfdp validate`
+// checks a whole data directory.
+const fs = require("fs");
+const path = require("path");
+const { validate, loadSchema } = require("./schema");
+const { SCHEMA_VERSION, listSnapshots, listIntraSnapshots, readRaw, schemaVersionOf } = require("./snapshots");
+
+class ValidationError extends Error {
+  constructor(what, errors) {
+    const shown = errors.slice(0, 20).join("\n  ") + (errors.length > 20 ? `\n  ... and ${errors.length - 20} more` : "");
+    super(`${what} failed validation (${errors.length} problem(s)):\n  ${shown}`);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+// Sums of float stakes drift a little; percentage strings are rounded row by row
+const STAKE_TOLERANCE = 1e-9;
+const pctTolerance = (rows) => Math.max(0.5, rows * 0.005);
+
+// Paths of NaN/Infinity numbers, and of strings they were formatted into ("NaN" from toFixed)
+function nonFinite(value, at = "(root)", out = []) {
+  if (typeof value === "number" && !isFinite(value)) out.push(`${at}: ${value}`);
+  else if (typeof value === "string" && /^-?(NaN|Infinity)$/.test(value)) out.push(`${at}: "${value}"`);
+  else if (Array.isArray(value)) value.forEach((v, i) => nonFinite(v, `${at}[${i}]`, out));
+  else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) nonFinite(v, at === "(root)" ? k : `${at}.${k}`, out);
+  }
+  return out;
+}
+
+const sum = (xs) => xs.reduce((s, x) => s + (Number(x) || 0), 0);
+
+function sumsTo(errors, at, values, total) {
+  const s = sum(values);
+  if (Math.abs(s - total) > STAKE_TOLERANCE * Math.max(1, Math.abs(total))) errors.push(`${at}: adds up to ${s}, expected ${total}`);
+}
+
+// Percentages of a complete breakdown add up to ~100 (only checked when there is stake to share)
+function pctSumsTo100(errors, at, rows, pctOf = r => r.pct) {
+  if (!rows?.length) return;
+  const s = sum(rows.map(pctOf));
+  if (Math.abs(s - 100) > pctTolerance(rows.length)) errors.push(`${at}: percentages add up to ${s.toFixed(2)}`);
+}
+
+function sfdpInvariants(d) {
+  const errors = [];
+  const voters = new Set();
+  for (const [key, a] of Object.entries(d.accounts)) {
+    const at = `accounts.${key}`;
+    sumsTo(errors, `${at}.validators[].activeStake`, a.validators.map(v => v.activeStake), a.totalActive);
+    const active = a.validators.filter(v => v.activeStake > 0).length;
+    if (active !== a.activeValidators) errors.push(`${at}.activeValidators: ${a.activeValidators}, but ${active} validators have active stake`);
+    if (a.totalActive > 0) {
+      pctSumsTo100(errors, `${at}.validators[].pctOfPool`, a.validators, v => v.pctOfPool);
+      pctSumsTo100(errors, `${at}.geographic.countries`, a.geographic.countries);
+      pctSumsTo100(errors, `${at}.software.versions`, a.software.versions);
+      pctSumsTo100(errors, `${at}.commissionDistribution`, a.commissionDistribution);
+    }
+    for (const v of a.validators) voters.add(v.voter);
+  }
+  const c = d.combined;
+  sumsTo(errors, "combined.totalActiveStake vs accounts.*.totalActive", Object.values(d.accounts).map(a => a.totalActive), c.totalActiveStake);
+  if (c.uniqueValidators !== voters.size) errors.push(`combined.uniqueValidators: ${c.uniqueValidators}, but the authorities list ${voters.size} validators`);
+  if (c.totalActiveStake > 0) {
+    pctSumsTo100(errors, "combined.geographic.countries", c.geographic?.countries);
+    pctSumsTo100(errors, "combined.clientDiversity.sfdp.clients", c.clientDiversity?.sfdp.clients);
+  }
+  pctSumsTo100(errors, "combined.clientDiversity.network.clients", c.clientDiversity?.network.clients);
+  return errors;
+}
+
+function networkInvariants(d) {
+  const errors = [];
+  sumsTo(errors, "validators[].stake", d.validators.map(v => v.stake), d.totalStake);
+  if (d.totalValidators !== d.validators.length) errors.push(`totalValidators: ${d.totalValidators}, but ${d.validators.length} validators are listed`);
+  if (d.totalStake > 0) {
+    pctSumsTo100(errors, "validators[].pctOfTotal", d.validators, v => v.pctOfTotal);
+    pctSumsTo100(errors, "geographic.countries", d.geographic.countries);
+    pctSumsTo100(errors, "software.versions", d.software.versions);
+    pctSumsTo100(errors, "software.clients", d.software.clients);
+    pctSumsTo100(errors, "commissionDistribution", d.commissionDistribution);
+  }
+  return errors;
+}
+
+// Schema first; the invariants assume the structure it guarantees
+const contract = (schema, invariants) => (d) => {
+  const errors = validate(loadSchema(schema), d);
+  const reported = new Set(errors.map(e => e.slice(0, e.indexOf(": "))));
+  errors.push(...nonFinite(d).filter(e => !reported.has(e.slice(0, e.indexOf(": ")))));
+  return errors.length ? errors : invariants(d);
+};
+
+// Error strings for one SFDP snapshot (latest.json / snapshots/epoch-<epoch>.json.gz)
+const checkSfdp = contract("sfdp", sfdpInvariants);
+const checkNetwork = contract("network", networkInvariants);
+
+function checkHistory(d) {
+  if (!Array.isArray(d.epochs)) return ["epochs is not an array"];
+  const errors = [];
+  d.epochs.forEach((e, i) => {
+    if (!Number.isInteger(e.epoch)) errors.push(`epochs[${i}].epoch is not an integer`);
+    else if (i > 0 && e.epoch <= d.epochs[i - 1].epoch) errors.push(`epochs[${i}] out of order`);
+  });
+  return errors;
+}
+
+const CHECKS = { "latest.json": checkSfdp, "network-latest.json": checkNetwork, "history.json": checkHistory };
+
+// Throws a ValidationError unless `doc` passes the checks of `file` ("latest.json", ...)
+function assertValid(file, doc) {
+  const errors = CHECKS[file](doc);
+  if (errors.length) throw new ValidationError(file, errors);
+}
+
+// Files that carry a schemaVersion; older ones are read through migrations but flagged
+const VERSIONED = new Set(["latest.json", "network-latest.json"]);
+
+function checkSchemaVersion(d, legacy) {
+  const version = schemaVersionOf(d);
+  if (legacy) return [`legacy snapshot file (schema ${version}); run \`sfdp migrate\` to archive it`];
+  if (version === SCHEMA_VERSION) return [];
+  return [`schemaVersion ${version}, expected ${SCHEMA_VERSION}${version < SCHEMA_VERSION ? "; run `sfdp migrate`" : ""}`];
+}
+
+// [{ file, errors }] for every known data file present in `dataDir`, stored snapshots included
+function validateDataDir(dataDir) {
+  const snapshots = [...listSnapshots(dataDir), ...listIntraSnapshots(dataDir)];
+  const files = [
+    ...Object.keys(CHECKS).map(file => ({ file, p: path.join(dataDir, file), versioned: VERSIONED.has(file) })),
+    ...snapshots.map(s => ({ file: path.relative(dataDir, s.file), p: s.file, versioned: true, legacy: s.legacy })),
+  ];
+  const out = [];
+  for (const { file, p, versioned, legacy } of files) {
+    if (!fs.existsSync(p)) {
+      if (file === "latest.json") out.push({ file, errors: ["file missing"] });
+      continue;
+    }
+    let data;
+    try {
+      data = readRaw(p);
+    } catch (e) {
+      out.push({ file, errors: [`invalid JSON: ${e.message}`] });
+      continue;
+    }
+    out.push({ file, errors: [...(versioned ? checkSchemaVersion(data, legacy) : []), ...(CHECKS[file] || checkSfdp)(data)] });
+  }
+  return out;
+}
+
+module.exports = { ValidationError, checkSfdp, checkNetwork, checkHistory, assertValid, validateDataDir };
@@ -0,0 +1,113 @@
+// lib/alerts.js HTTP sinks (webhook, Slack, Discord) against a local HTTP stand-in
+// for the receiving service, and runAlerts' retry of deliveries that failed
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { webhookSink, slackSink, discordSink, runAlerts } = require("../lib/alerts");
+
+// A receiver on 127.0.0.1 answering every POST with `status`; `received` holds the
+// parsed bodies and `headers` the request headers, in arrival order
+async function receiver(status = 204) {
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      server.received.push(JSON.parse(raw));
+      server.headers.push(req.headers);
+      res.writeHead(server.status);
+      res.end();
+    });
+  });
+  Object.assign(server, { received: [], headers: [], status });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  server.url = `http://127.0.0.1:${server.address().port}/hook`;
+  return server;
+}
+
+async function withReceiver(status, fn) {
+  const server = await receiver(status);
+  try {
+    await fn(server);
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+const ctx = { epoch: 920, timestamp: "2026-02-03T00:00:00.000Z" };
+const alert = (i, severity = "warning") => ({
+  condition: "largeStakeMove", severity, epoch: 920, key: `stake-move:V${i}:920`,
+  title: `Validator ${i} SFDP stake +${i * 1000} SOL`, message: `epoch 919 → 920`,
+});
+
+test("webhook sink posts the raw alerts as JSON", async () => {
+  await withReceiver(200, async (server) => {
+    const alerts = [alert(1, "critical"), alert(2)];
+    await webhookSink({ url: server.url }).send(alerts, ctx);
+    assert.deepStrictEqual(server.received, [{ source: "sfdp-dashboard", epoch: 920, timestamp: ctx.timestamp, alerts }]);
+    assert.strictEqual(server.headers[0]["content-type"], "application/json");
+  });
+});
+
+test("slack sink sends one mrkdwn message capped at maxLines", async () => {
+  await withReceiver(200, async (server) => {
+    await slackSink({ url: server.url, maxLines: 2 }).send([alert(1, "critical"), alert(2), alert(3, "info")], ctx);
+    assert.strictEqual(server.received.length, 1);
+    assert.deepStrictEqual(server.received[0].text.split("\n"), [
+      "*SFDP alerts — epoch 920 (3 new)*",
+      "🚨 Validator 1 SFDP stake +1000 SOL — epoch 919 → 920",
+      "⚠️ Validator 2 SFDP stake +2000 SOL — epoch 919 → 920",
+      "…and 1 more",
+    ]);
+  });
+});
+
+test("discord sink splits long lists into messages within maxChars", async () => {
+  await withReceiver(204, async (server) => {
+    const alerts = Array.from({ length: 30 }, (_, i) => alert(i + 1));
+    await discordSink({ url: server.url, maxChars: 300 }).send(alerts, ctx);
+    assert.ok(server.received.length > 1);
+    for (const { content } of server.received) assert.ok(content.length <= 300, `${content.length} characters`);
+    const lines = server.received.flatMap(m => m.content.split("\n"));
+    assert.strictEqual(lines[0], "**SFDP alerts — epoch 920 (30 new)**");
+    assert.deepStrictEqual(lines.slice(1).map(l => l.match(/Validator (\d+)/)[1]), alerts.map((_, i) => String(i + 1)));
+  });
+});
+
+test("sinks reject when the receiver answers with an error status", async () => {
+  await withReceiver(500, async (server) => {
+    for (const sink of [webhookSink, slackSink, discordSink]) {
+      await assert.rejects(sink({ url: server.url }).send([alert(1)], ctx), /HTTP 500/);
+    }
+  });
+});
+
+test("runAlerts keeps a failed delivery due and sends it on the next run", async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sfdp-alerts-"));
+  const curr = { epoch: 920, combined: { infraConcentration: { top3ASNPct: "55.0", topASNs: [{ name: "AS1" }, { name: "AS2" }, { name: "AS3" }] } } };
+  try {
+    await withReceiver(503, async (server) => {
+      const config = {
+        renotifyHours: null,
+        conditions: { top3AsnShare: { enabled: true, severity: "warning", maxPct: 40 } },
+        sinks: [{ type: "webhook", url: server.url }],
+      };
+      const first = await runAlerts(dataDir, curr, { config, prev: null, now: Date.parse(ctx.timestamp) });
+      assert.deepStrictEqual(first.deliveries, [{ sink: "webhook", sent: 0, ok: false, error: "HTTP 503" }]);
+
+      server.status = 200;
+      const second = await runAlerts(dataDir, curr, { config, prev: null, now: Date.parse(ctx.timestamp) + 60000 });
+      assert.deepStrictEqual(second.deliveries, [{ sink: "webhook", sent: 1, ok: true }]);
+      assert.strictEqual(server.received.at(-1).alerts[0].key, "top3-asn");
+
+      const third = await runAlerts(dataDir, curr, { config, prev: null, now: Date.parse(ctx.timestamp) + 120000 });
+      assert.deepStrictEqual(third.deliveries, []);
+      assert.strictEqual(server.received.length, 2);
+    });
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,54 @@
+// lib/api.js over the committed data/: malformed request targets and the per-epoch summaries
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const path = require("path");
+const { startApiServer } = require("../lib/api");
+const { createLogger } = require("../lib/log");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+async function withServer(fn) {
+  const errors = [];
+  const stream = { write: (s) => errors.push(s) };
+  const api = startApiServer({ port: 0, dataDir: DATA_DIR, log: createLogger({ out: { write() {} }, err: stream }) });
+  await new Promise((resolve) => api.server.once("listening", resolve));
+  try {
+    await fn(`http://127.0.0.1:${api.server.address().port}`, api.server.address().port, errors);
+  } finally {
+    api.server.closeAllConnections();
+    await api.close();
+  }
+}
+
+// Sends `raw` as the whole request and resolves with the response text
+function rawRequest(port, raw) {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    const socket = net.connect(port, "127.0.0.1", () => socket.end(raw));
+    socket.on("data", (c) => (text += c));
+    socket.on("end", () => resolve(text));
+    socket.on("error", reject);
+  });
+}
+
+test("a request target that is not a URL gets a 400 and the server keeps serving", async () => {
+  await withServer(async (base, port, errors) => {
+    const response = await rawRequest(port, "GET http://[ HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n");
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.match(response, /Malformed URL/);
+    assert.strictEqual((await fetch(`${base}/api/epochs`)).status, 200);
+    assert.deepStrictEqual(errors, []);
+  });
+});
+
+test("an epoch summary matches that epoch's entry in /api/epochs", async () => {
+  await withServer(async (base) => {
+    const { epochs } = await (await fetch(`${base}/api/epochs`)).json();
+    assert.ok(epochs.length > 0);
+    for (const entry of epochs) {
+      const { compliance, changes, ...summary } = await (await fetch(`${base}/api/epochs/${entry.epoch}/summary`)).json();
+      assert.deepStrictEqual(summary, entry);
+    }
+  });
+});
@@ -0,0 +1,32 @@
+// lib/export.js: CSV/TSV cells, including validator names crafted as spreadsheet formulas
+const test = require("node:test");
+const assert = require("node:assert");
+const { FORMATS } = require("../lib/export");
+
+const columns = ["name", "stake"];
+const body = (format, rows) => FORMATS[format](columns, rows).split("\n").slice(1, -1);
+
+test("names that a spreadsheet would evaluate are exported as text", () => {
+  const rows = ["=HYPERLINK(\"http://x\",\"y\")", "+cmd|' /C calc'!A0", "-2+3", "@SUM(A1:A2)", "\tTabbed", "\rReturn"].map(name => ({ name, stake: 1 }));
+  assert.deepStrictEqual(body("csv", rows), [
+    "\"'=HYPERLINK(\"\"http://x\"\",\"\"y\"\")\",1",
+    "'+cmd|' /C calc'!A0,1",
+    "'-2+3,1",
+    "'@SUM(A1:A2),1",
+    "'\tTabbed,1",
+    "\"'\rReturn\",1",
+  ]);
+  assert.deepStrictEqual(body("tsv", rows.slice(3)), ["'@SUM(A1:A2)\t1", "' Tabbed\t1", "' Return\t1"]);
+});
+
+test("numbers and ordinary names are left alone", () => {
+  assert.deepStrictEqual(body("csv", [{ name: "Helius", stake: -12.5 }, { name: "a=b, c", stake: 0 }, { name: null, stake: 3 }]), [
+    "Helius,-12.5",
+    "\"a=b, c\",0",
+    ",3",
+  ]);
+});
+
+test("ndjson keeps the raw values", () => {
+  assert.strictEqual(FORMATS.ndjson(columns, [{ name: "=1+1", stake: 2 }]), "{\"name\":\"=1+1\",\"stake\":2}\n");
+});
@@ -0,0 +1,25 @@
+// lib/history.js: unreadable snapshots are skipped with a warning on the caller's logger
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildHistory } = require("../lib/history");
+const { createLogger } = require("../lib/log");
+
+test("a corrupt snapshot is skipped and reported through log", () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sfdp-history-"));
+  try {
+    fs.mkdirSync(path.join(dataDir, "snapshots"));
+    fs.writeFileSync(path.join(dataDir, "snapshots", "epoch-900.json.gz"), "not gzip");
+    const lines = [];
+    const stream = { write: (s) => lines.push(JSON.parse(s)) };
+    const { history } = buildHistory(dataDir, { log: createLogger({ json: true, out: stream, err: stream }) });
+    assert.deepStrictEqual(history.epochs, []);
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(lines[0].level, "warn");
+    assert.match(lines[0].msg, /^Skipping epoch-900\.json\.gz: /);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
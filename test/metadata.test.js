@@ -0,0 +1,42 @@
+// lib/metadata.js: a partly failed on-chain provider and an unknown METADATA_SOURCES entry
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const path = require("path");
+const { loadMetadata, metadataSummary, describeStatus } = require("../lib/metadata");
+
+const voteAccounts = { current: [{ votePubkey: "Vote1", nodePubkey: "Node1", commission: 5 }], delinquent: [] };
+const clusterNodes = [{ pubkey: "Node1", version: "2.2.1" }];
+const noCache = { read: () => null, write: () => {} };
+
+test("a failed validator-info fetch keeps the vote accounts and marks the names failed", async () => {
+  const rpc = async (method) => {
+    if (method === "getProgramAccounts") throw new Error("getProgramAccounts: HTTP 410 (method disabled)");
+    throw new Error(`unexpected ${method}`);
+  };
+  const meta = await loadMetadata({ sources: ["onchain"], ctx: { rpc, voteAccounts, clusterNodes }, cache: noCache });
+  assert.deepStrictEqual(meta.validators.Vote1, { identity: "Node1", version: "2.2.1", commission: 5, delinquent: false });
+  assert.strictEqual(meta.provenance.Vote1.name, undefined);
+
+  const st = meta.status.onchain;
+  assert.strictEqual(st.ok, true);
+  assert.deepStrictEqual(st.failedFields, ["name"]);
+  assert.match(st.warnings[0], /validator-info names unavailable: .*HTTP 410/);
+  assert.strictEqual(metadataSummary(meta, ["Vote1"]).degraded, true);
+  assert.match(describeStatus(meta.status)[0], /^onchain: 1 validators, ok, without name — validator-info names unavailable/);
+});
+
+test("names come through when the Config program answers", async () => {
+  const info = { account: { data: { parsed: { type: "validatorInfo", info: { keys: [{ pubkey: "Node1", signer: true }], configData: { name: "Alpha" } } } } } };
+  const meta = await loadMetadata({ sources: ["onchain"], ctx: { rpc: async () => [info], voteAccounts, clusterNodes }, cache: noCache });
+  assert.strictEqual(meta.validators.Vote1.name, "Alpha");
+  assert.strictEqual(meta.status.onchain.failedFields, undefined);
+  assert.strictEqual(metadataSummary(meta, ["Vote1"]).degraded, false);
+});
+
+test("an unknown METADATA_SOURCES entry is a usage error before anything runs", () => {
+  const bin = path.join(__dirname, "..", "bin", "sfdp.js");
+  assert.throws(() => execFileSync(process.execPath, [bin, "collect", "all", "--dry-run"], {
+    env: { PATH: process.env.PATH, METADATA_SOURCES: "stakewiz, onchian" }, stdio: "pipe", timeout: 30000,
+  }), (e) => e.status === 2 && /Unknown METADATA_SOURCES onchian \(expected: stakewiz, onchain, file\)/.test(e.stderr));
+});
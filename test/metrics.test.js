@@ -0,0 +1,22 @@
+// lib/metrics.js: nearest-rank percentiles on a small known stake list
+const test = require("node:test");
+const assert = require("node:assert");
+const { percentile, stakeStats } = require("../lib/metrics");
+
+// Ten validators of 100..1000 SOL, shuffled
+const stakes = [700, 100, 1000, 400, 300, 900, 200, 600, 500, 800];
+
+test("p10 and p90 are the smallest values with that share of validators at or below them", () => {
+  assert.strictEqual(percentile(stakes, 10), 100);
+  assert.strictEqual(percentile(stakes, 90), 900);
+  assert.strictEqual(percentile(stakes, 11), 200);
+  assert.strictEqual(percentile(stakes, 91), 1000);
+  assert.strictEqual(percentile(stakes, 0), 100);
+  assert.strictEqual(percentile(stakes, 100), 1000);
+});
+
+test("stakeStats reports the same nearest-rank percentiles", () => {
+  assert.deepStrictEqual(stakeStats(stakes), { mean: 550, median: 500, max: 1000, min: 100, p10: 100, p25: 300, p75: 800, p90: 900 });
+  assert.deepStrictEqual(stakeStats([42]), { mean: 42, median: 42, max: 42, min: 42, p10: 42, p25: 42, p75: 42, p90: 42 });
+  assert.strictEqual(percentile([], 90), 0);
+});
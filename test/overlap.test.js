@@ -0,0 +1,25 @@
+// lib/overlap.js: the Nakamoto figures of the SFDP/network cross-reference follow the
+// configured threshold
+const test = require("node:test");
+const assert = require("node:assert");
+const { crossReference } = require("../lib/overlap");
+
+// Ten network validators of 100..1000 SOL; SFDP delegates 300 SOL to the largest
+const network = {
+  epoch: 920,
+  validators: Array.from({ length: 10 }, (_, i) => ({ voter: `V${i}`, stake: (10 - i) * 100 })),
+};
+const sfdp = { epoch: 920, accounts: { firep: { validators: [{ voter: "V0", activeStake: 300 }] } } };
+
+test("without thresholds the network Nakamoto uses the 1/3 default", () => {
+  const { nakamoto, validators } = crossReference(sfdp, network);
+  assert.deepStrictEqual(nakamoto, { network: 2, withoutSfdp: 3, concentrating: 1, supporting: 0 });
+  assert.strictEqual(validators[0].nakamotoDelta, 1);
+});
+
+test("the configured nakamotoCoeff33 share replaces the default", () => {
+  const thresholds = { nakamoto: { nakamotoCoeff33: 0.6, nakamotoCoeff66: 2 / 3 }, superminority: 0.6 };
+  const { nakamoto, validators } = crossReference(sfdp, network, thresholds);
+  assert.deepStrictEqual(nakamoto, { network: 4, withoutSfdp: 5, concentrating: 1, supporting: 0 });
+  assert.strictEqual(validators[0].nakamotoWithout, 5);
+});
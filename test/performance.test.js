@@ -0,0 +1,51 @@
+// lib/performance.js: delinquency streaks carried over network-latest.json from epoch to
+// epoch, and their aggregate in the performance summary
+const test = require("node:test");
+const assert = require("node:assert");
+const { streakBase, delinquentStreak, performanceSummary } = require("../lib/performance");
+
+// The validators part of network-latest.json for `epoch`, `delinquent` the delinquent voters
+function networkFile(epoch, delinquent, previous) {
+  const previousStreaks = streakBase(previous, epoch);
+  const validators = ["V1", "V2", "V3"].map(voter => ({
+    voter, stake: 100, tvcEffectiveness: 95, voteLatency: 2,
+    delinquent: delinquent.includes(voter),
+    delinquentStreak: delinquentStreak(delinquent.includes(voter), previousStreaks[voter]),
+  }));
+  return { epoch, previousStreaks, validators };
+}
+const streaksOf = (file) => Object.fromEntries(file.validators.map(v => [v.voter, v.delinquentStreak]));
+
+test("streaks grow across epochs and reset once a validator votes again", () => {
+  const e1 = networkFile(100, ["V1", "V2"], null);
+  const e2 = networkFile(101, ["V1"], e1);
+  const e3 = networkFile(102, ["V1", "V2"], e2);
+  assert.deepStrictEqual(streaksOf(e3), { V1: 3, V2: 1, V3: 0 });
+  assert.deepStrictEqual(e3.previousStreaks, { V1: 2 });
+});
+
+test("a rerun within the epoch continues from the same base", () => {
+  const e1 = networkFile(100, ["V1"], null);
+  const e2 = networkFile(101, ["V1"], e1);
+  const rerun = networkFile(101, ["V1"], networkFile(101, ["V1"], e2));
+  assert.deepStrictEqual(streaksOf(rerun), streaksOf(e2));
+  assert.deepStrictEqual(streaksOf(rerun), { V1: 2, V2: 0, V3: 0 });
+});
+
+test("network files from before streaks were tracked count a delinquent validator as one epoch in", () => {
+  const old = { epoch: 100, validators: [{ voter: "V1", delinquent: true }, { voter: "V2", delinquent: false }] };
+  assert.deepStrictEqual(streaksOf(networkFile(101, ["V1", "V2"], old)), { V1: 2, V2: 1, V3: 0 });
+  assert.deepStrictEqual(streakBase(old, 99), {});
+});
+
+test("the summary counts repeat delinquents and the longest streak", () => {
+  const file = networkFile(102, ["V1", "V2"], networkFile(101, ["V1"], null));
+  const summary = performanceSummary(file.validators);
+  assert.strictEqual(summary.delinquent, 2);
+  assert.strictEqual(summary.repeatDelinquent, 1);
+  assert.strictEqual(summary.longestDelinquentStreak, 2);
+
+  const untracked = performanceSummary(file.validators.map(({ delinquentStreak, ...v }) => v));
+  assert.strictEqual(untracked.repeatDelinquent, null);
+  assert.strictEqual(untracked.longestDelinquentStreak, null);
+});
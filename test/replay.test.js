@@ -0,0 +1,63 @@
+// Golden replay: `collect all --replay` of the committed fixture bundle must reproduce the
+// committed latest.json and network-latest.json exactly. The bundle was recorded with
+// `--record` from a 27-validator test cluster.
+//
+// When a collector change is meant to alter the output, regenerate the expected files:
+//   node bin/sfdp.js collect all --replay test/fixtures/replay/bundle.json.gz --out-dir <tmp>
+//   cp <tmp>/latest.json <tmp>/network-latest.json test/fixtures/replay/
+// and review their diff in the same commit.
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadBundle, saveBundle } = require("../lib/fixtures");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures", "replay");
+const sfdp = (args, opts = {}) => execFileSync(process.execPath, [path.join(ROOT, "bin", "sfdp.js"), ...args],
+  { env: { PATH: process.env.PATH }, stdio: "pipe", timeout: 60000, ...opts });
+
+test("replaying the fixture bundle reproduces latest.json and network-latest.json", () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "sfdp-replay-"));
+  try {
+    // Only PATH from the environment: config overrides (COMPLIANCE_RULES, METRICS_CONFIG, ...)
+    // would change the output
+    sfdp(["collect", "all", "--replay", path.join(FIXTURES, "bundle.json.gz"), "--out-dir", outDir]);
+    for (const file of ["latest.json", "network-latest.json"]) {
+      const actual = fs.readFileSync(path.join(outDir, file), "utf8");
+      const expected = fs.readFileSync(path.join(FIXTURES, file), "utf8");
+      assert.deepStrictEqual(JSON.parse(actual), JSON.parse(expected), `${file} differs from the fixture`);
+      assert.strictEqual(actual, expected, `${file} is not byte-identical to the fixture`);
+    }
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test("a replay needs --out-dir rather than writing into ./data", () => {
+  assert.throws(() => sfdp(["collect", "all", "--replay", path.join(FIXTURES, "bundle.json.gz")]),
+    (e) => e.status === 2 && /--replay needs --out-dir/.test(e.stderr));
+});
+
+test("a replay diffs against the bundle's previous snapshot, not the out-dir's", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sfdp-replay-"));
+  try {
+    // The fixture's own result one epoch earlier, with one FiRep validator fewer
+    const bundle = loadBundle(path.join(FIXTURES, "bundle.json.gz"));
+    const previous = JSON.parse(fs.readFileSync(path.join(FIXTURES, "latest.json"), "utf8"));
+    previous.epoch -= 1;
+    const [dropped] = previous.accounts.firep.validators.splice(0, 1);
+    saveBundle(path.join(dir, "bundle.json"), { ...bundle, previous });
+
+    const outDir = path.join(dir, "out");
+    sfdp(["collect", "sfdp", "--replay", path.join(dir, "bundle.json"), "--out-dir", outDir]);
+    const changelog = JSON.parse(fs.readFileSync(path.join(outDir, "changelog.json"), "utf8"));
+    assert.strictEqual(changelog.fromEpoch, previous.epoch);
+    assert.deepStrictEqual(changelog.authorities.firep.added.map(v => v.voter), [dropped.voter]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
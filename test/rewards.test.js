@@ -0,0 +1,57 @@
+// lib/rewards.js: the running rewards ledger and its cumulative total across epochs,
+// including an epoch whose rewards fetch failed
+const test = require("node:test");
+const assert = require("node:assert");
+const { collectRewards, ledgerOf, missingRewards } = require("../lib/rewards");
+
+const SLOTS_IN_EPOCH = 432000;
+
+// getInflationReward stand-in: every account earns 1 SOL per epoch on 1000 SOL
+const rpc = async (method, [addresses, { epoch }]) => addresses.map(() => ({
+  epoch, amount: 1e9, postBalance: 1001e9, commission: 5, effectiveSlot: (epoch + 1) * SLOTS_IN_EPOCH,
+}));
+const failing = async () => { throw new Error("getInflationReward: timeout after 60000ms"); };
+
+const accounts = () => ({ firep: [{ pubkey: "A", voter: "V1" }], mpa4: [{ pubkey: "B", voter: "V2" }] });
+
+// The rewards-related part of the snapshot collect-sfdp writes for `currentEpoch`
+async function snapshot(call, currentEpoch, previous) {
+  try {
+    const rewards = await collectRewards(call, { stakeAccountsByKey: accounts(), currentEpoch, slotsInEpoch: SLOTS_IN_EPOCH, ledger: ledgerOf(previous) });
+    return { epoch: currentEpoch, rewards };
+  } catch (e) {
+    return { epoch: currentEpoch, rewards: null, rewardsMissing: missingRewards(previous, currentEpoch - 1, e.message) };
+  }
+}
+
+test("one epoch's rewards go into the ledger and the cumulative total", async () => {
+  const snap = await snapshot(rpc, 101, null);
+  assert.deepStrictEqual(snap.rewards.ledger, [{ epoch: 100, byAuthority: { firep: 1, mpa4: 1 }, total: 2 }]);
+  assert.deepStrictEqual(snap.rewards.cumulative, { fromEpoch: 100, toEpoch: 100, epochs: 1, missingEpochs: [], total: 2, byAuthority: { firep: 1, mpa4: 1 } });
+  assert.strictEqual(snap.rewards.combined.rewards, 2);
+});
+
+test("the cumulative total survives an epoch whose rewards fetch failed", async () => {
+  const first = await snapshot(rpc, 101, null);
+  const failed = await snapshot(failing, 102, first);
+  assert.strictEqual(failed.rewards, null);
+  assert.deepStrictEqual(failed.rewardsMissing.ledger, first.rewards.ledger);
+  assert.deepStrictEqual(failed.rewardsMissing.missingEpochs, [101]);
+  assert.match(failed.rewardsMissing.error, /timeout/);
+
+  // The next run picks the carried ledger up and backfills the missed epoch
+  const next = await snapshot(rpc, 103, failed);
+  assert.deepStrictEqual(next.rewards.ledger.map(l => l.epoch), [100, 101, 102]);
+  assert.strictEqual(next.rewards.cumulative.fromEpoch, 100);
+  assert.strictEqual(next.rewards.cumulative.total, 6);
+  assert.deepStrictEqual(next.rewards.cumulative.missingEpochs, []);
+});
+
+test("two failed epochs in a row keep carrying the same ledger", async () => {
+  const first = await snapshot(rpc, 101, null);
+  const failed = await snapshot(failing, 103, await snapshot(failing, 102, first));
+  assert.deepStrictEqual(failed.rewardsMissing.ledger, first.rewards.ledger);
+  assert.deepStrictEqual(failed.rewardsMissing.missingEpochs, [101, 102]);
+  const next = await snapshot(rpc, 104, failed);
+  assert.strictEqual(next.rewards.cumulative.total, 8);
+});
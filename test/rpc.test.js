@@ -0,0 +1,167 @@
+// lib/rpc.js against local HTTP stand-ins for RPC endpoints: retries, failover, and
+// the responses that must not be taken for an answer
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createRpcClient, RpcError } = require("../lib/rpc");
+const { createLogger } = require("../lib/log");
+
+// An endpoint on 127.0.0.1 that answers every request with `handler(body, req, res)`;
+// `requests` counts what it received
+async function standIn(handler) {
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      server.requests++;
+      handler(JSON.parse(raw), req, res);
+    });
+  });
+  server.requests = 0;
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/` };
+}
+
+const reply = (res, status, body, headers = {}) => {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+};
+const result = (body, value) => Array.isArray(body)
+  ? body.map((r) => ({ jsonrpc: "2.0", id: r.id, result: value }))
+  : { jsonrpc: "2.0", id: body.id, result: value };
+
+// Logger whose warnings are kept for assertions instead of printed
+function quietLog() {
+  const lines = [];
+  const stream = { write: (s) => lines.push(s) };
+  return { log: createLogger({ out: stream, err: stream }), lines };
+}
+
+async function withEndpoints(handlers, fn) {
+  const stands = await Promise.all(handlers.map(standIn));
+  try {
+    await fn(stands.map((s) => s.url), stands.map((s) => s.server));
+  } finally {
+    for (const { server } of stands) {
+      server.close();
+      server.closeAllConnections();
+    }
+  }
+}
+
+const client = (endpoints, opts = {}) => createRpcClient({ endpoints, retries: 2, backoffMs: 1, timeoutMs: 2000, ...opts });
+
+test("retries a 5xx on the same endpoint before failing over", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 503, "unavailable"),
+    (body, req, res) => reply(res, 200, result(body, 42)),
+  ], async ([primary, backup], [first, second]) => {
+    const { log, lines } = quietLog();
+    const rpc = client([primary, backup], { log });
+    assert.strictEqual(await rpc.call("getSlot"), 42);
+    assert.strictEqual(first.requests, 2);
+    assert.strictEqual(second.requests, 1);
+    assert.match(lines.join(""), /retrying in/);
+    assert.match(lines.join(""), /failing over/);
+    const stats = rpc.stats();
+    assert.deepStrictEqual(stats[new URL(primary).host], { calls: 2, failures: 2, retries: 1, served: {} });
+    assert.deepStrictEqual(stats[new URL(backup).host], { calls: 1, failures: 0, retries: 0, served: { getSlot: 1 } });
+  });
+});
+
+test("honours Retry-After on 429 and succeeds on the retry", async () => {
+  let calls = 0;
+  await withEndpoints([
+    (body, req, res) => (++calls === 1 ? reply(res, 429, "slow down", { "Retry-After": "0" }) : reply(res, 200, result(body, "ok"))),
+  ], async ([endpoint], [server]) => {
+    const rpc = client([endpoint], { log: quietLog().log });
+    assert.strictEqual(await rpc.call("getHealth"), "ok");
+    assert.strictEqual(server.requests, 2);
+  });
+});
+
+test("skips an endpoint that refuses auth without retrying it", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 401, { error: "unauthorized" }),
+    (body, req, res) => reply(res, 200, result(body, 7)),
+  ], async (endpoints, [first, second]) => {
+    const rpc = client(endpoints, { log: quietLog().log });
+    assert.strictEqual(await rpc.call("getSlot"), 7);
+    assert.strictEqual(first.requests, 1);
+    assert.strictEqual(second.requests, 1);
+  });
+});
+
+test("fails over on JSON that is not a JSON-RPC answer", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 200, { jsonrpc: "2.0", id: body.id }),
+    (body, req, res) => reply(res, 200, result(body, 1)),
+  ], async (endpoints, [first]) => {
+    const rpc = client(endpoints, { log: quietLog().log });
+    assert.strictEqual(await rpc.call("getSlot"), 1);
+    assert.strictEqual(first.requests, 1);
+  });
+});
+
+test("retries a response whose body stalls past the timeout", async () => {
+  await withEndpoints([
+    (body, req, res) => {
+      // Headers go out, the body never finishes
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write("{\"jsonrpc\":");
+    },
+    (body, req, res) => reply(res, 200, result(body, "late")),
+  ], async (endpoints, [first, second]) => {
+    const { log, lines } = quietLog();
+    const rpc = client(endpoints, { log, timeoutMs: 200 });
+    assert.strictEqual(await rpc.call("getSlot"), "late");
+    assert.strictEqual(first.requests, 2);
+    assert.strictEqual(second.requests, 1);
+    assert.match(lines.join(""), /reading the response/);
+  });
+});
+
+test("returns batch results in request order", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 200, body.map((r) => ({ jsonrpc: "2.0", id: r.id, result: r.params[0] })).reverse()),
+  ], async (endpoints) => {
+    const rpc = client(endpoints, { log: quietLog().log });
+    assert.deepStrictEqual(await rpc.batch([["echo", ["a"]], ["echo", ["b"]], ["echo", ["c"]]]), ["a", "b", "c"]);
+    assert.deepStrictEqual(rpc.stats()[new URL(endpoints[0]).host].served, { echo: 1 });
+  });
+});
+
+test("rejects a batch answered with a single response", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 200, { jsonrpc: "2.0", id: null, result: 1 }),
+  ], async (endpoints) => {
+    const rpc = client(endpoints, { log: quietLog().log });
+    await assert.rejects(rpc.batch([["getSlot"], ["getSlot"]]), (e) => e instanceof RpcError && /malformed JSON-RPC response/.test(e.message));
+  });
+});
+
+test("surfaces non-retryable RPC errors without retrying", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 200, { jsonrpc: "2.0", id: body.id, error: { code: -32602, message: "Invalid params" } }),
+    (body, req, res) => reply(res, 200, result(body, 0)),
+  ], async (endpoints, [first, second]) => {
+    const rpc = client(endpoints, { log: quietLog().log });
+    await assert.rejects(rpc.call("getSlot", ["bad"]), (e) => e instanceof RpcError && e.code === -32602);
+    assert.strictEqual(first.requests, 1);
+    assert.strictEqual(second.requests, 0);
+  });
+});
+
+test("throws the last error when every endpoint fails", async () => {
+  await withEndpoints([
+    (body, req, res) => reply(res, 502, "bad gateway"),
+    (body, req, res) => reply(res, 500, "oops"),
+  ], async (endpoints, [first, second]) => {
+    const { log, lines } = quietLog();
+    const rpc = client(endpoints, { log });
+    await assert.rejects(rpc.call("getSlot"), (e) => e instanceof RpcError && e.status === 500);
+    assert.strictEqual(first.requests, 2);
+    assert.strictEqual(second.requests, 2);
+    assert.match(lines.join(""), /no endpoints left/);
+  });
+});
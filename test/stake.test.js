@@ -0,0 +1,86 @@
+// lib/stake.js: StakeStateV2 decoding and the warmup/cooldown math against a hand-built
+// stake history
+const test = require("node:test");
+const assert = require("node:assert");
+const { U64_MAX, STAKE_LAYOUT, STAKE_DATA_SLICE, decodeStakeAccount, effectiveStake, stakeLifecycle } = require("../lib/stake");
+
+// Public keys with well-known byte values
+const CLOCK_SYSVAR = ["SysvarC1ock11111111111111111111111111111111", "06a7d51718c774c928566398691d5eb68b5eb8a39b4b6d5c73555b2100000000"];
+const STAKE_PROGRAM = ["Stake11111111111111111111111111111111111111", "06a1d8179137542a983437bdfe2a7ab2557f535c8a78722b68a49dc000000000"];
+const SYSTEM_PROGRAM = ["11111111111111111111111111111111", "00".repeat(32)];
+
+// A StakeStateV2 account sliced as getStakeAccounts fetches it, as RPC's [base64, encoding]
+function stakeAccountData(state, { staker, withdrawer, voter, stake = 0n, activationEpoch = 0n, deactivationEpoch = 2n ** 64n - 1n } = {}) {
+  const buf = Buffer.alloc(STAKE_DATA_SLICE.length);
+  buf.writeUInt32LE(state, STAKE_LAYOUT.state);
+  for (const [field, key] of [["staker", staker], ["withdrawer", withdrawer], ["voter", voter]]) {
+    if (key) Buffer.from(key[1], "hex").copy(buf, STAKE_LAYOUT[field]);
+  }
+  buf.writeBigUInt64LE(stake, STAKE_LAYOUT.stake);
+  buf.writeBigUInt64LE(activationEpoch, STAKE_LAYOUT.activationEpoch);
+  buf.writeBigUInt64LE(deactivationEpoch, STAKE_LAYOUT.deactivationEpoch);
+  return [buf.toString("base64"), "base64"];
+}
+
+test("a delegated account decodes to the jsonParsed shape", () => {
+  const data = stakeAccountData(2, { staker: CLOCK_SYSVAR, withdrawer: SYSTEM_PROGRAM, voter: STAKE_PROGRAM, stake: 5000000000n, activationEpoch: 700n });
+  assert.deepStrictEqual(decodeStakeAccount(data), {
+    type: "delegated",
+    info: {
+      meta: { authorized: { staker: CLOCK_SYSVAR[0], withdrawer: SYSTEM_PROGRAM[0] } },
+      stake: { delegation: { voter: STAKE_PROGRAM[0], stake: "5000000000", activationEpoch: "700", deactivationEpoch: U64_MAX } },
+    },
+  });
+});
+
+test("initialized accounts carry authorities only; other states nothing", () => {
+  assert.deepStrictEqual(decodeStakeAccount(stakeAccountData(1, { staker: STAKE_PROGRAM, withdrawer: CLOCK_SYSVAR })), {
+    type: "initialized",
+    info: { meta: { authorized: { staker: STAKE_PROGRAM[0], withdrawer: CLOCK_SYSVAR[0] } } },
+  });
+  assert.deepStrictEqual(decodeStakeAccount(stakeAccountData(0)), { type: "uninitialized", info: {} });
+  assert.deepStrictEqual(decodeStakeAccount(stakeAccountData(3)), { type: "rewardsPool", info: {} });
+  assert.deepStrictEqual(decodeStakeAccount(stakeAccountData(7)), { type: "unknown", info: {} });
+});
+
+const SOL = 1e9;
+// 100 SOL delegated at epoch 100 into a cluster of 10,000 SOL with 1,000 SOL warming up
+const activating = { stake: String(100 * SOL), activationEpoch: "100", deactivationEpoch: U64_MAX };
+const WARMUP = {
+  100: { effective: 10000 * SOL, activating: 1000 * SOL, deactivating: 0 },
+  101: { effective: 10900 * SOL, activating: 100 * SOL, deactivating: 0 },
+};
+
+test("a partially activating account warms up by its share of the cluster rate", () => {
+  assert.deepStrictEqual(effectiveStake(activating, 99, WARMUP), { effective: 0, activating: 0, deactivating: 0 });
+  assert.deepStrictEqual(effectiveStake(activating, 100, WARMUP), { effective: 0, activating: 100 * SOL, deactivating: 0 });
+  // 100/1000 of 9% of 10,000 SOL
+  assert.deepStrictEqual(effectiveStake(activating, 101, WARMUP), { effective: 90 * SOL, activating: 10 * SOL, deactivating: 0 });
+  assert.deepStrictEqual(effectiveStake(activating, 102, WARMUP), { effective: 100 * SOL, activating: 0, deactivating: 0 });
+
+  assert.deepStrictEqual(stakeLifecycle(activating, 101, WARMUP), { state: "activating", delegated: 100, active: 90, activating: 10, deactivating: 0, inactive: 0 });
+  assert.strictEqual(stakeLifecycle(activating, 102, WARMUP).state, "active");
+});
+
+// 100 SOL active since before recorded history, deactivated at epoch 100 while 1,000 SOL cools down
+const deactivating = { stake: String(100 * SOL), activationEpoch: "0", deactivationEpoch: "100" };
+const COOLDOWN = {
+  100: { effective: 10000 * SOL, activating: 0, deactivating: 1000 * SOL },
+  101: { effective: 9910 * SOL, activating: 0, deactivating: 100 * SOL },
+};
+
+test("a partially deactivating account cools down by its share of the cluster rate", () => {
+  assert.deepStrictEqual(stakeLifecycle(deactivating, 99, COOLDOWN), { state: "active", delegated: 100, active: 100, activating: 0, deactivating: 0, inactive: 0 });
+  assert.deepStrictEqual(stakeLifecycle(deactivating, 100, COOLDOWN), { state: "deactivating", delegated: 100, active: 0, activating: 0, deactivating: 100, inactive: 0 });
+  assert.deepStrictEqual(stakeLifecycle(deactivating, 101, COOLDOWN), { state: "deactivating", delegated: 100, active: 0, activating: 0, deactivating: 10, inactive: 90 });
+  assert.deepStrictEqual(stakeLifecycle(deactivating, 102, COOLDOWN), { state: "inactive", delegated: 100, active: 0, activating: 0, deactivating: 0, inactive: 100 });
+});
+
+test("missing stake-history entries", () => {
+  // No entry for the activation epoch: warmed up before recorded history
+  assert.deepStrictEqual(effectiveStake(activating, 105, {}), { effective: 100 * SOL, activating: 0, deactivating: 0 });
+  // No entry for the deactivation epoch: cooled down before recorded history
+  assert.deepStrictEqual(effectiveStake(deactivating, 105, {}), { effective: 0, activating: 0, deactivating: 0 });
+  // A gap after the first epoch: warmup stops where the history does
+  assert.deepStrictEqual(effectiveStake(activating, 105, { 100: WARMUP[100] }), { effective: 90 * SOL, activating: 10 * SOL, deactivating: 0 });
+});